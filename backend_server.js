@@ -9,6 +9,7 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
 const { Resend } = require('resend');
+const { readSheet } = require('read-excel-file/node');
 require('dotenv').config();
 
 // Email service for forwarding verification emails
@@ -21,10 +22,98 @@ const PORT = process.env.PORT || 3000;
 // CONFIGURATION
 // ============================================
 
-const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || 'super_secret_password';
+// Worker requests are signed with WEBHOOK_SECRET (see webhookAuthMiddleware).
+// While rotating, the previous secret stays valid as WEBHOOK_SECRET_PREVIOUS.
+const WEBHOOK_SECRETS = [process.env.WEBHOOK_SECRET, process.env.WEBHOOK_SECRET_PREVIOUS].filter(Boolean);
+const LEGACY_WEBHOOK_SECRET = 'super_secret_password';
+// Max clock difference for a signed request; its nonce is kept twice as long
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+// A delivery claimed this long ago without a response was abandoned (crash, restart)
+const WEBHOOK_DELIVERY_TIMEOUT_SECONDS = 300;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 const JWT_SECRET = process.env.JWT_SECRET || 'change_this_jwt_secret_in_production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; a session lives on through its rotating refresh
+// token, which expires after this many days without a refresh
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Emailed links: where the frontend serves /verify-email and /reset-password,
+// how long each token is good for, and how many a user can request per hour
+const APP_URL = (process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:3001').replace(/\/+$/, '');
+const AUTH_TOKEN_TTL_MINUTES = { email_verification: 48 * 60, password_reset: 60 };
+const AUTH_EMAILS_PER_HOUR = 5;
+// Account deletion: days the user can still cancel, and how often the backend
+// deletes the accounts whose grace period is over
+const ACCOUNT_DELETION_GRACE_DAYS = 30;
+const ACCOUNT_DELETION_SWEEP_MINUTES = 60;
 const EMAIL_DOMAIN = process.env.EMAIL_DOMAIN || 'jamty.xyz';
+const EMAIL_FROM = 'Jamty Finance <noreply@jamty.xyz>';
+const MAX_PAGE_SIZE = 200;
+
+// Currencies the backend keeps balances for, and their display symbols
+const CURRENCY_SYMBOLS = { ARS: '$', USD: 'US$' };
+const EXCHANGE_RATE_TYPES = ['official', 'mep', 'blue'];
+const DEFAULT_RATE_TYPE = process.env.DEFAULT_RATE_TYPE || 'official';
+
+// Budget usage (percent) that triggers an alert email
+const BUDGET_ALERT_THRESHOLDS = [80, 100];
+
+// Reporting timezone for analytics periods (Argentina has no DST)
+const REPORT_TIMEZONE = 'America/Argentina/Buenos_Aires';
+const REPORT_UTC_OFFSET = '-03:00';
+
+// Max length of a categorization rule condition
+const MAX_RULE_PATTERN_LENGTH = 200;
+
+// Page size when scanning a user's whole transaction history
+const SCAN_BATCH_SIZE = 1000;
+
+// Distinct sharing users that must agree before a global merchant category is used
+const GLOBAL_MERCHANT_MIN_USERS = 3;
+
+// Recurring charge detection: history scanned, cadences recognized (expected interval,
+// allowed deviation, grace days before a charge counts as missed, charges needed)
+const SUBSCRIPTION_LOOKBACK_MONTHS = 25;
+const SUBSCRIPTION_TYPES = ['payment_sent', 'transfer_sent'];
+const SUBSCRIPTION_CADENCES = {
+  weekly: { days: 7, tolerance: 2, grace: 3, minCharges: 4 },
+  monthly: { days: 30, tolerance: 5, grace: 7, minCharges: 3 },
+  yearly: { days: 365, tolerance: 20, grace: 30, minCharges: 2 },
+};
+// Consecutive charges may move within this ratio (price increases) and still be one subscription
+const SUBSCRIPTION_AMOUNT_RATIO = { min: 0.8, max: 2 };
+// Latest charge this much above the previous one is flagged
+const SUBSCRIPTION_PRICE_JUMP = 0.15;
+
+// Statement imports: max upload size, and how many days apart a statement row and an
+// existing transaction with the same amount may be and still count as the same movement
+const IMPORT_MAX_FILE_SIZE = '5mb';
+const IMPORT_DEDUPE_WINDOW_DAYS = 3;
+const IMPORT_INSERT_BATCH_SIZE = 500;
+
+// Internal transfers: a sent and a received transfer of the same amount at two of the
+// user's institutions, at most this many hours apart, are the same money moving
+const INTERNAL_TRANSFER_WINDOW_HOURS = 48;
+const INTERNAL_TRANSFER_TYPES = { sent: ['transfer_sent'], received: ['transfer_received', 'deposit'] };
+const INTERNAL_TRANSFER_STATUSES = ['active', 'detected', 'confirmed', 'unlinked', 'all'];
+
+// Filters for the parsing failures review queue
+const PARSING_FAILURE_STATUSES = ['unresolved', 'resolved', 'all'];
+
+// Email reprocessing: the worker's public URL (serves /reparse over the raw email
+// archive) and the max archived emails one run covers
+const WORKER_URL = process.env.WORKER_URL;
+const REPROCESS_MAX_EMAILS = 500;
+// Reparsed fields compared against the stored transaction (API field → column)
+const REPROCESS_FIELDS = {
+  type: 'type',
+  amount: 'amount',
+  currency: 'currency',
+  counterparty: 'counterparty',
+  description: 'description',
+  referenceId: 'reference_id',
+  counterpartyCuit: 'counterparty_cuit',
+  counterpartyCbu: 'counterparty_cbu',
+};
 
 // Supabase client
 const supabase = createClient(
@@ -36,13 +125,14 @@ const supabase = createClient(
 // MIDDLEWARE
 // ============================================
 
-app.use(express.json());
+// Keep the raw body: webhook signatures are computed over the exact bytes sent
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // CORS
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', process.env.FRONTEND_URL || '*');
   res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
   if (req.method === 'OPTIONS') return res.sendStatus(200);
   next();
 });
@@ -67,19 +157,40 @@ async function authMiddleware(req, res, next) {
     const token = authHeader.split(' ')[1];
     const decoded = jwt.verify(token, JWT_SECRET);
 
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', decoded.userId)
-      .single();
+    // Tokens issued before sessions existed can't be revoked: log in again
+    if (!decoded.sessionId) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
+    const [{ data: user, error }, { data: session }] = await Promise.all([
+      supabase
+        .from('users')
+        .select('*')
+        .eq('id', decoded.userId)
+        .single(),
+      supabase
+        .from('user_sessions')
+        .select('id, revoked_at, expires_at')
+        .eq('id', decoded.sessionId)
+        .eq('user_id', decoded.userId)
+        .single(),
+    ]);
 
     if (error || !user) {
       return res.status(401).json({ error: 'User not found' });
     }
 
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired' });
+    }
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ error: 'Invalid token' });
     }
@@ -87,6 +198,118 @@ async function authMiddleware(req, res, next) {
   }
 }
 
+/**
+ * Verify a signed worker request: X-Webhook-Signature is "v1=" + hex
+ * HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>" with an active secret, the
+ * timestamp is within WEBHOOK_TOLERANCE_SECONDS and the nonce is new.
+ */
+async function webhookAuthMiddleware(req, res, next) {
+  try {
+    const timestamp = req.headers['x-webhook-timestamp'];
+    const nonce = req.headers['x-webhook-nonce'];
+    const signature = req.headers['x-webhook-signature'];
+
+    if (!/^\d+$/.test(timestamp || '') || !/^[A-Za-z0-9-]{16,64}$/.test(nonce || '')
+      || !/^v1=[0-9a-f]{64}$/.test(signature || '') || !req.rawBody) {
+      console.warn(`⚠️ Unsigned request to ${req.path}`);
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > WEBHOOK_TOLERANCE_SECONDS) {
+      console.warn(`⚠️ Stale request to ${req.path} (timestamp ${timestamp})`);
+      return res.status(401).json({ error: 'Request expired' });
+    }
+
+    if (!isValidWebhookSignature(`${timestamp}.${nonce}.`, req.rawBody, signature)) {
+      console.warn(`⚠️ Invalid webhook signature for ${req.path}`);
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Only claimed once the signature checks out, so forged requests store nothing
+    const { data: firstUse, error } = await supabase.rpc('claim_webhook_nonce', {
+      p_nonce: nonce,
+      p_ttl_seconds: WEBHOOK_TOLERANCE_SECONDS * 2,
+    });
+    if (error) throw error;
+
+    if (!firstUse) {
+      console.warn(`⚠️ Replayed request to ${req.path} (nonce ${nonce})`);
+      return res.status(401).json({ error: 'Request already received' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('❌ Webhook verification error:', error);
+    return res.status(500).json({ error: 'Webhook verification error' });
+  }
+}
+
+/**
+ * Exactly-once /webhook deliveries: the worker retries failed deliveries with
+ * the same deliveryId. The first request claims it and its response is
+ * stored; a retry of a processed delivery gets that response back, one that
+ * is still being processed gets a 409 (the worker retries it later).
+ * Payloads without a deliveryId (older workers) go straight through.
+ */
+async function webhookDeliveryMiddleware(req, res, next) {
+  const deliveryId = req.body?.deliveryId;
+  if (deliveryId === undefined) return next();
+
+  if (typeof deliveryId !== 'string' || !UUID_PATTERN.test(deliveryId)) {
+    return res.status(400).json({ error: 'deliveryId must be a UUID' });
+  }
+
+  try {
+    const { data, error } = await supabase.rpc('claim_webhook_delivery', {
+      p_delivery_id: deliveryId,
+      p_timeout_seconds: WEBHOOK_DELIVERY_TIMEOUT_SECONDS,
+    });
+    if (error) throw error;
+
+    const claim = data?.[0];
+    if (!claim?.claimed) {
+      if (claim?.status_code) {
+        console.log(`🔁 Delivery ${deliveryId} already processed, replaying response`);
+        return res.status(claim.status_code).json({ ...claim.response, duplicateDelivery: true });
+      }
+      return res.status(409).json({ error: 'Delivery is being processed' });
+    }
+
+    // Store the response for retries; a 5xx releases the claim so a retry runs again
+    const json = res.json.bind(res);
+    res.json = body => {
+      recordWebhookDelivery(deliveryId, res.statusCode, body);
+      return json(body);
+    };
+
+    next();
+  } catch (error) {
+    console.error('❌ Webhook delivery claim error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+async function recordWebhookDelivery(deliveryId, statusCode, body) {
+  try {
+    const query = statusCode >= 500
+      ? supabase.from('webhook_deliveries').delete().eq('delivery_id', deliveryId)
+      : supabase.from('webhook_deliveries').update({ status_code: statusCode, response: body }).eq('delivery_id', deliveryId);
+    const { error } = await query;
+    if (error) throw error;
+  } catch (error) {
+    console.error(`⚠️ Could not record delivery ${deliveryId}:`, error);
+  }
+}
+
+function isValidWebhookSignature(signedPrefix, rawBody, signature) {
+  const provided = Buffer.from(signature.slice('v1='.length), 'hex');
+
+  return WEBHOOK_SECRETS.some(secret => {
+    const expected = crypto.createHmac('sha256', secret).update(signedPrefix).update(rawBody).digest();
+    return crypto.timingSafeEqual(provided, expected);
+  });
+}
+
 // ============================================
 // AUTH ENDPOINTS
 // ============================================
@@ -137,21 +360,21 @@ app.post('/api/auth/register', async (req, res) => {
     }
 
     const forwardingEmail = `user_${user.external_id}@${EMAIL_DOMAIN}`;
-    const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    const { session, refreshToken } = await createSession(user.id, req);
 
     console.log(`👤 New user registered: ${email} → ${forwardingEmail}`);
 
+    // The account works without it; the link can be sent again from /verify-email/resend
+    try {
+      await sendAuthEmail(user, 'email_verification');
+    } catch (emailError) {
+      console.error('⚠️ Verification email failed:', emailError);
+    }
+
     res.status(201).json({
       message: 'Account created successfully',
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        balance: parseFloat(user.balance),
-        forwardingEmail,
-        createdAt: user.created_at,
-      },
-      token,
+      user: formatUser(user),
+      ...issueTokens(user, session, refreshToken),
     });
 
   } catch (error) {
@@ -183,22 +406,14 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
-    const forwardingEmail = `user_${user.external_id}@${EMAIL_DOMAIN}`;
+    const { session, refreshToken } = await createSession(user.id, req);
 
     console.log(`🔓 User logged in: ${email}`);
 
     res.json({
       message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        balance: parseFloat(user.balance),
-        forwardingEmail,
-        createdAt: user.created_at,
-      },
-      token,
+      user: formatUser(user),
+      ...issueTokens(user, session, refreshToken),
     });
 
   } catch (error) {
@@ -208,469 +423,5499 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 app.get('/api/auth/me', authMiddleware, async (req, res) => {
-  const forwardingEmail = `user_${req.user.external_id}@${EMAIL_DOMAIN}`;
-  res.json({
-    user: {
-      id: req.user.id,
-      email: req.user.email,
-      name: req.user.name,
-      balance: parseFloat(req.user.balance),
-      forwardingEmail,
-      createdAt: req.user.created_at,
-    },
-  });
+  res.json({ user: formatUser(req.user) });
 });
 
-// ============================================
-// PROTECTED USER ENDPOINTS
-// ============================================
+// New access token for a refresh token. The refresh token rotates: the old one
+// stops working, and presenting it again revokes the session (it was copied).
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
 
-app.get('/api/balance', authMiddleware, async (req, res) => {
-  res.json({
-    balance: parseFloat(req.user.balance),
-    currency: 'ARS',
-    forwardingEmail: `user_${req.user.external_id}@${EMAIL_DOMAIN}`,
-  });
-});
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
 
-app.get('/api/transactions', authMiddleware, async (req, res) => {
-  try {
-    const { limit = 50, offset = 0, type } = req.query;
+    const now = new Date().toISOString();
+    const tokenHash = hashToken(refreshToken);
+    const nextToken = generateToken();
 
-    let query = supabase
-      .from('transactions')
-      .select('*', { count: 'exact' })
-      .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false })
-      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+    // Rotate in one statement so two refreshes with the same token can't both win
+    const { data: session } = await supabase
+      .from('user_sessions')
+      .update({
+        refresh_token_hash: hashToken(nextToken),
+        previous_token_hash: tokenHash,
+        ip_address: clientIp(req),
+        last_used_at: now,
+        expires_at: sessionExpiry(),
+      })
+      .eq('refresh_token_hash', tokenHash)
+      .is('revoked_at', null)
+      .gt('expires_at', now)
+      .select()
+      .single();
 
-    if (type) {
-      query = query.eq('type', type);
+    if (!session) {
+      const { data: reused } = await supabase
+        .from('user_sessions')
+        .update({ revoked_at: now, revoked_reason: 'token_reuse' })
+        .eq('previous_token_hash', tokenHash)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (reused?.length) {
+        console.warn(`⚠️ Refresh token reused, session ${reused[0].id} revoked`);
+      }
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
     }
 
-    const { data: transactions, count, error } = await query;
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', session.user_id)
+      .single();
 
-    if (error) throw error;
+    if (error || !user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
 
-    res.json({
-      transactions: transactions.map(formatTransaction),
-      total: count,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
+    res.json(issueTokens(user, session, nextToken));
+
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// Revoke this session, or every session of the user with body.all
+app.post('/api/auth/logout', authMiddleware, async (req, res) => {
+  try {
+    const all = req.body?.all === true;
+    const revoked = await revokeUserSessions(req.user.id, {
+      sessionId: all ? null : req.sessionId,
+      reason: 'logout',
     });
 
+    console.log(`🔒 User logged out: ${req.user.email}${all ? ` (${revoked} sessions)` : ''}`);
+
+    res.json({ message: 'Logged out', revoked });
+
   } catch (error) {
-    console.error('Error fetching transactions:', error);
-    res.status(500).json({ error: 'Failed to fetch transactions' });
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
   }
 });
 
-app.get('/api/summary', authMiddleware, async (req, res) => {
+app.get('/api/auth/sessions', authMiddleware, async (req, res) => {
   try {
-    // Get recent transactions
-    const { data: transactions, error } = await supabase
-      .from('transactions')
+    const { data: sessions, error } = await supabase
+      .from('user_sessions')
       .select('*')
       .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false })
-      .limit(10);
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('last_used_at', { ascending: false });
 
     if (error) throw error;
 
-    // Calculate stats
-    let totalReceived = 0;
-    let totalSent = 0;
-    const byType = {};
+    res.json({ sessions: sessions.map(session => formatSession(session, req.sessionId)) });
 
-    for (const tx of transactions) {
-      if (!byType[tx.type]) byType[tx.type] = { count: 0, total: 0 };
-      byType[tx.type].count++;
-      byType[tx.type].total += parseFloat(tx.amount);
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
 
-      if (['transfer_received', 'payment_received', 'deposit', 'refund_received'].includes(tx.type)) {
-        totalReceived += parseFloat(tx.amount);
-      } else if (['transfer_sent', 'payment_sent', 'withdrawal', 'refund_sent'].includes(tx.type)) {
-        totalSent += parseFloat(tx.amount);
-      }
+// Sign out one device; its access token stops working on the next request
+app.delete('/api/auth/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const revoked = UUID_PATTERN.test(req.params.id)
+      ? await revokeUserSessions(req.user.id, { sessionId: req.params.id, reason: 'revoked' })
+      : 0;
+
+    if (revoked === 0) {
+      return res.status(404).json({ error: 'Session not found' });
     }
 
-    res.json({
-      user: {
-        id: req.user.id,
-        email: req.user.email,
-        name: req.user.name,
-        forwardingEmail: `user_${req.user.external_id}@${EMAIL_DOMAIN}`,
-      },
-      balance: parseFloat(req.user.balance),
-      currency: 'ARS',
-      stats: {
-        totalReceived,
-        totalSent,
-        netFlow: totalReceived - totalSent,
-        transactionCount: transactions.length,
-        byType,
-      },
-      recentTransactions: transactions.map(formatTransaction),
-    });
+    console.log(`🔒 Session revoked: ${req.user.email} - ${req.params.id}`);
+
+    res.json({ message: 'Session revoked', current: req.params.id === req.sessionId });
 
   } catch (error) {
-    console.error('Error fetching summary:', error);
-    res.status(500).json({ error: 'Failed to fetch summary' });
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
   }
 });
 
-// ============================================
-// WEBHOOK ENDPOINT (from Cloudflare Worker)
-// ============================================
-
-app.post('/webhook', async (req, res) => {
+// Confirm the account email with the token from the signup (or resend) link
+app.post('/api/auth/verify-email', async (req, res) => {
   try {
-    const secretKey = req.headers['x-secret-key'];
-    if (secretKey !== WEBHOOK_SECRET) {
-      console.warn('⚠️ Invalid webhook secret');
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const data = req.body;
-    console.log('📧 Webhook received:', JSON.stringify(data, null, 2));
+    const { token } = req.body || {};
 
-    // Handle parsing failures
-    if (!data.valid) {
-      await logParsingFailure(data);
-      return res.json({ status: 'logged', message: 'Parsing failure recorded' });
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ error: 'token is required' });
     }
 
-    // Handle promotional emails (log but don't create transaction)
-    if (data.isPromotional) {
-      console.log(`📣 Promotional email from ${data.institutionName || 'unknown'}: ${data.subject}`);
-      // Could store in a 'promotions' table for analytics if needed
-      return res.json({
-        status: 'logged',
-        type: 'promotional',
-        institution: data.institution,
-        message: 'Promotional email logged'
-      });
+    const record = await consumeAuthToken(token, 'email_verification');
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
     }
 
-    // Get user by external_id
-    const { data: user, error: userError } = await supabase
+    // Only the address the link was sent to: the email may have changed since
+    const { data: user, error } = await supabase
       .from('users')
-      .select('*')
-      .eq('external_id', data.userId)
+      .update({ email_verified_at: new Date().toISOString() })
+      .eq('id', record.user_id)
+      .eq('email', record.email)
+      .select()
       .single();
 
-    if (userError || !user) {
-      console.warn(`⚠️ No user found for: ${data.userId}`);
-      return res.status(404).json({ error: 'User not found. They must register first.' });
-    }
-
-    // Check duplicate using emailHash (unique fingerprint of the email content)
-    // This prevents the same email from being processed twice, while allowing
-    // different transactions with the same amount/counterparty
-    if (data.emailHash) {
-      const { data: existing } = await supabase
-        .from('transactions')
-        .select('id')
-        .eq('user_id', user.id)
-        .eq('email_hash', data.emailHash)
-        .single();
-
-      if (existing) {
-        console.log(`⏭️ Skipping duplicate (emailHash): ${data.emailHash.substring(0, 16)}...`);
-        return res.json({ status: 'skipped', reason: 'duplicate' });
-      }
+    if (error || !user) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
     }
 
-    // Note: We only use emailHash for duplicate detection now.
-    // referenceId is not reliable because MP may reuse IDs or parsing may extract wrong IDs.
+    console.log(`✅ Email verified: ${user.email}`);
 
-    // Create transaction
-    const { data: transaction, error: txError } = await supabase
-      .from('transactions')
-      .insert({
-        user_id: user.id,
-        type: data.type,
-        amount: data.amount,
-        currency: data.currency || 'ARS',
-        counterparty: data.counterparty,
-        description: data.description,
-        reference_id: data.referenceId,
-        email_hash: data.emailHash || null,
-        category: data.category || null,
-        institution: data.institution || 'mercadopago', // Default for backwards compatibility
-        email_subject: data.subject,
-        email_from: normalizeEmail(data.from),
-        received_at: data.receivedAt || new Date().toISOString(),
-      })
-      .select()
-      .single();
+    res.json({ message: 'Email verified', emailVerified: true });
 
-    if (txError) throw txError;
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Email verification failed' });
+  }
+});
 
-    // Update balance
-    const balanceChange = calculateBalanceChange(data.type, data.amount);
-    if (balanceChange !== 0) {
-      await supabase
-        .from('users')
-        .update({ balance: user.balance + balanceChange })
-        .eq('id', user.id);
+app.post('/api/auth/verify-email/resend', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(400).json({ error: 'Email is already verified' });
     }
 
-    const institutionLabel = data.institutionName || data.institution || 'Unknown';
-    console.log(`✅ Transaction: ${transaction.id}`);
-    console.log(`   User: ${user.email}, Institution: ${institutionLabel}`);
-    console.log(`   Type: ${data.type}, Amount: $${data.amount}`);
-    console.log(`   Balance change: ${balanceChange >= 0 ? '+' : ''}${balanceChange}`);
+    if (!(await sendAuthEmail(req.user, 'email_verification'))) {
+      return res.status(429).json({ error: 'Too many emails requested, try again later' });
+    }
 
-    return res.json({
-      status: 'success',
-      transactionId: transaction.id,
-      balanceChange,
-    });
+    res.json({ message: `Verification email sent to ${req.user.email}` });
 
   } catch (error) {
-    console.error('❌ Webhook error:', error);
-    return res.status(500).json({ error: 'Internal server error' });
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
   }
 });
 
-// ============================================
-// EMAIL FORWARDING ENDPOINT (for Gmail verification)
-// ============================================
-
-app.post('/forward-verification', async (req, res) => {
-  // Immediate logging before anything else
-  console.log('📬 Forward-verification endpoint hit - START');
-  console.log('📬 Request body type:', typeof req.body);
-  console.log('📬 Request body:', JSON.stringify(req.body || {}).substring(0, 500));
-
+// Same answer whether or not the email has an account, so it can't be used to find users
+app.post('/api/auth/forgot-password', async (req, res) => {
   try {
-    const secretKey = req.headers['x-secret-key'];
-    console.log('🔑 Secret key received:', secretKey ? 'yes' : 'no');
+    const { email } = req.body || {};
 
-    if (secretKey !== WEBHOOK_SECRET) {
-      console.warn('⚠️ Invalid secret for verification forwarding');
-      return res.status(401).json({ error: 'Unauthorized' });
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({ error: 'Email is required' });
     }
 
-    const { userId, subject, htmlBody, textBody, verificationLink } = req.body;
+    const { data: user } = await supabase
+      .from('users')
+      .select('*')
+      .eq('email', email.toLowerCase().trim())
+      .single();
+
+    res.json({ message: 'If the email has an account, a reset link is on its way' });
+
+    // Sent after responding, failures only logged: neither the response time
+    // nor its status may tell the account exists
+    if (user) {
+      sendAuthEmail(user, 'password_reset')
+        .then(sent => {
+          if (!sent) console.warn(`⚠️ Password reset limit reached: ${user.email}`);
+        })
+        .catch(emailError => console.error('⚠️ Password reset email failed:', emailError));
+    }
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send reset email' });
+  }
+});
+
+// Set a new password with the token from the reset link. Signs out every session:
+// whoever had the old password may be logged in somewhere.
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    if (typeof token !== 'string' || !token || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const record = await consumeAuthToken(token, 'password_reset');
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', record.user_id)
+      .single();
+
+    // Links sent to an address the account no longer uses don't count
+    if (error || !user || record.email !== user.email) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    const updates = { password_hash: await bcrypt.hash(password, 10) };
+    // The link reached the inbox, which proves the address too
+    if (!user.email_verified_at) {
+      updates.email_verified_at = new Date().toISOString();
+    }
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update(updates)
+      .eq('id', user.id);
+
+    if (updateError) throw updateError;
+
+    // Other reset links sent before this one stop working too
+    await supabase
+      .from('auth_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', user.id)
+      .eq('purpose', 'password_reset')
+      .is('used_at', null);
+
+    const revoked = await revokeUserSessions(user.id, { reason: 'password_reset' });
+
+    console.log(`🔑 Password reset: ${user.email} (${revoked} sessions revoked)`);
+
+    res.json({ message: 'Password updated, log in with the new password' });
+
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+// ============================================
+// PROFILE ENDPOINTS
+// ============================================
+
+// Change name and/or email. A new email needs the current password and is
+// unverified until its confirmation link is used.
+app.patch('/api/profile', authMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const updates = {};
+
+    if (body.name !== undefined) {
+      if (body.name !== null && typeof body.name !== 'string') {
+        return res.status(400).json({ error: 'name must be a string or null' });
+      }
+      updates.name = body.name ? body.name.trim().slice(0, 255) || null : null;
+    }
+
+    if (body.email !== undefined) {
+      if (typeof body.email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(body.email.trim())) {
+        return res.status(400).json({ error: 'email must be a valid email address' });
+      }
+
+      const email = body.email.toLowerCase().trim();
+      if (email !== req.user.email) {
+        // A stolen access token alone mustn't be enough to take the account over
+        if (!(await verifyPassword(req.user, body.currentPassword))) {
+          return res.status(403).json({ error: 'Current password is incorrect' });
+        }
+
+        const { data: existing } = await supabase
+          .from('users')
+          .select('id')
+          .eq('email', email)
+          .single();
+
+        if (existing) {
+          return res.status(400).json({ error: 'Email already registered' });
+        }
+
+        updates.email = email;
+        updates.email_verified_at = null;
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update (name, email)' });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .update(updates)
+      .eq('id', req.user.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: 'Email already registered' });
+      }
+      throw error;
+    }
+
+    if (updates.email) {
+      // Links already sent to the old address stop working, and so do the
+      // other sessions: whoever had the old inbox mustn't keep a way in
+      await supabase
+        .from('auth_tokens')
+        .update({ used_at: new Date().toISOString() })
+        .eq('user_id', user.id)
+        .is('used_at', null);
+
+      await revokeUserSessions(user.id, { exceptSessionId: req.sessionId, reason: 'email_change' });
+
+      try {
+        await sendAuthEmail(user, 'email_verification');
+      } catch (emailError) {
+        console.error('⚠️ Verification email failed:', emailError);
+      }
+      console.log(`👤 Email changed: ${req.user.email} → ${user.email}`);
+    }
+
+    res.json({ user: formatUser(user) });
+
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Signs out every other session; this one stays logged in
+app.post('/api/profile/password', authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+      return res.status(400).json({ error: 'currentPassword and newPassword are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    if (!(await verifyPassword(req.user, currentPassword))) {
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({ password_hash: await bcrypt.hash(newPassword, 10) })
+      .eq('id', req.user.id);
+
+    if (error) throw error;
+
+    // Pending reset links would still set a password of their own
+    await supabase
+      .from('auth_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', req.user.id)
+      .eq('purpose', 'password_reset')
+      .is('used_at', null);
+
+    const revoked = await revokeUserSessions(req.user.id, { exceptSessionId: req.sessionId, reason: 'password_change' });
+
+    console.log(`🔑 Password changed: ${req.user.email} (${revoked} other sessions revoked)`);
+
+    res.json({ message: 'Password updated', revokedSessions: revoked });
+
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Everything stored about the user, as a JSON download (raw database rows)
+app.get('/api/profile/export', authMiddleware, async (req, res) => {
+  try {
+    const data = await buildDataExport(req.user);
+
+    res.setHeader('Content-Disposition', `attachment; filename="jamty-export-${reportToday()}.json"`);
+    res.json(data);
+
+    console.log(`📦 Data export: ${req.user.email} - ${data.transactions.length} transactions`);
+
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+// Schedule the account deletion. Until then everything keeps working and the
+// user can cancel; afterwards purgeDeletedAccounts removes all their data.
+app.post('/api/profile/deletion', authMiddleware, async (req, res) => {
+  try {
+    if (!(await verifyPassword(req.user, req.body?.password))) {
+      return res.status(403).json({ error: 'Password is incorrect' });
+    }
+
+    const now = new Date();
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({
+        deletion_requested_at: now.toISOString(),
+        deletion_scheduled_for: new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 86400000).toISOString(),
+      })
+      .eq('id', req.user.id)
+      .is('deletion_scheduled_for', null)
+      .select()
+      .single();
+
+    if (error || !user) {
+      return res.status(409).json({ error: 'Account deletion is already scheduled', deletionScheduledFor: req.user.deletion_scheduled_for });
+    }
+
+    try {
+      await sendAccountDeletionEmail(user);
+    } catch (emailError) {
+      console.error('⚠️ Account deletion email failed:', emailError);
+    }
+
+    console.log(`🗑️ Account deletion scheduled: ${user.email} on ${user.deletion_scheduled_for}`);
+
+    res.json({ message: 'Account deletion scheduled', deletionScheduledFor: user.deletion_scheduled_for });
+
+  } catch (error) {
+    console.error('Error scheduling account deletion:', error);
+    res.status(500).json({ error: 'Failed to schedule account deletion' });
+  }
+});
+
+app.delete('/api/profile/deletion', authMiddleware, async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({ deletion_requested_at: null, deletion_scheduled_for: null })
+      .eq('id', req.user.id)
+      .not('deletion_scheduled_for', 'is', null)
+      .select()
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({ error: 'No account deletion scheduled' });
+    }
+
+    console.log(`↩️ Account deletion cancelled: ${user.email}`);
+
+    res.json({ message: 'Account deletion cancelled', user: formatUser(user) });
+
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    res.status(500).json({ error: 'Failed to cancel account deletion' });
+  }
+});
+
+// ============================================
+// PROTECTED USER ENDPOINTS
+// ============================================
+
+app.get('/api/balance', authMiddleware, async (req, res) => {
+  try {
+    const rateType = req.query.rateType || DEFAULT_RATE_TYPE;
+    if (!EXCHANGE_RATE_TYPES.includes(rateType)) {
+      return res.status(400).json({ error: `rateType must be one of: ${EXCHANGE_RATE_TYPES.join(', ')}` });
+    }
+
+    const balances = await getUserBalances(req.user);
+    const accounts = await fetchUserAccounts(req.user.id);
+    const rates = await getLatestExchangeRates(rateType);
+
+    // Transactions without an account (still counted in the totals)
+    const unassigned = balances
+      .map(({ currency, balance }) => ({
+        currency,
+        balance: Math.round((balance - accounts
+          .filter(account => account.currency === currency)
+          .reduce((sum, account) => sum + parseFloat(account.balance), 0)) * 100) / 100,
+      }))
+      .filter(b => b.balance !== 0);
+
+    res.json({
+      balance: parseFloat(req.user.balance),
+      currency: 'ARS',
+      balances: balances.map(({ currency, balance }) => ({
+        currency,
+        balance,
+        balanceARS: convertToARS(balance, currency, rates),
+        rate: currency === 'ARS' ? 1 : rates[currency]?.rate || null,
+        rateDate: rates[currency]?.date || null,
+      })),
+      totalARS: sumConvertedToARS(balances.map(b => [b.balance, b.currency]), rates),
+      accounts: accounts.map(account => ({
+        ...formatAccount(account),
+        balanceARS: convertToARS(parseFloat(account.balance), account.currency, rates),
+      })),
+      unassigned,
+      rateType,
+      forwardingEmail: `user_${req.user.external_id}@${EMAIL_DOMAIN}`,
+    });
+
+  } catch (error) {
+    console.error('Error fetching balance:', error);
+    res.status(500).json({ error: 'Failed to fetch balance' });
+  }
+});
+
+/**
+ * Rebuild the user's balances from the transactions ledger and report drift
+ */
+app.post('/api/balance/recompute', authMiddleware, async (req, res) => {
+  try {
+    const { data: rows, error } = await supabase.rpc('recompute_user_balances', {
+      p_user_id: req.user.id,
+    });
+
+    if (error) throw error;
+
+    const balances = (rows || []).map(row => ({
+      currency: row.currency,
+      storedBalance: parseFloat(row.stored_balance),
+      computedBalance: parseFloat(row.computed_balance),
+      drift: parseFloat(row.drift),
+    }));
+    const driftDetected = balances.some(b => b.drift !== 0);
+
+    if (driftDetected) {
+      console.warn(`⚠️ Balance drift fixed for ${req.user.email}:`, JSON.stringify(balances));
+    }
+
+    res.json({
+      status: 'recomputed',
+      driftDetected,
+      balances,
+    });
+
+  } catch (error) {
+    console.error('Error recomputing balance:', error);
+    res.status(500).json({ error: 'Failed to recompute balance' });
+  }
+});
+
+app.get('/api/transactions', authMiddleware, async (req, res) => {
+  try {
+    const { offset = 0, cursor } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    let query = supabase
+      .from('transactions')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false });
+
+    const { query: filtered, error: filterError } = applyTransactionFilters(query, req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+    query = filtered;
+
+    // Cursor pagination: keyset on (created_at, id), so rows inserted by the
+    // webhook while the client scrolls can't shift later pages.
+    // Fetch one extra row to know whether there is a next page.
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      query = query
+        .or(`created_at.lt.${position.createdAt},and(created_at.eq.${position.createdAt},id.lt.${position.id})`)
+        .limit(limit + 1);
+    } else {
+      query = query.range(parseInt(offset), parseInt(offset) + limit);
+    }
+
+    const { data: rows, count, error } = await query;
+
+    if (error) throw error;
+
+    const hasMore = rows.length > limit;
+    const transactions = rows.slice(0, limit);
+    const last = transactions[transactions.length - 1];
+
+    res.json({
+      transactions: transactions.map(formatTransaction),
+      total: count,
+      limit,
+      offset: cursor ? null : parseInt(offset),
+      nextCursor: hasMore && last ? encodeCursor(last) : null,
+    });
+
+  } catch (error) {
+    console.error('Error fetching transactions:', error);
+    res.status(500).json({ error: 'Failed to fetch transactions' });
+  }
+});
+
+// Streams every matching transaction (oldest first) in the requested format.
+// Takes the same filters as GET /api/transactions.
+app.get('/api/transactions/export', authMiddleware, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const exporter = TRANSACTION_EXPORTERS[format];
+    if (!exporter) {
+      return res.status(400).json({ error: `Invalid format. Valid formats: ${Object.keys(TRANSACTION_EXPORTERS).join(', ')}` });
+    }
+
+    // Validate filters before the response starts streaming
+    const { error: filterError } = applyTransactionFilters(supabase.from('transactions').select('id'), req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="transactions-${reportToday()}.${format}"`);
+
+    const count = await exporter.write(res, req.user, req.query);
+    res.end();
+
+    console.log(`📤 Export: ${req.user.email} - ${count} transactions (${format})`);
+
+  } catch (error) {
+    if (res.destroyed) {
+      return console.warn(`⚠️ Export cancelled: ${req.user.email} disconnected`);
+    }
+    console.error('Error exporting transactions:', error);
+    if (res.headersSent) {
+      // Cut the connection so the client doesn't keep a truncated file as complete
+      return res.destroy();
+    }
+    res.status(500).json({ error: 'Failed to export transactions' });
+  }
+});
+
+app.post('/api/transactions', authMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    if (!body.type || body.amount === undefined) {
+      return res.status(400).json({ error: 'Type and amount are required' });
+    }
+
+    const { updates: fields, error: validationError } = validateTransactionFields(body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    let account = null;
+    if (body.accountId) {
+      account = await fetchUserAccount(req.user.id, body.accountId);
+      if (!account) {
+        return res.status(400).json({ error: 'Account not found' });
+      }
+    }
+
+    const currency = (body.currency || account?.currency || 'ARS').toUpperCase();
+    if (!CURRENCY_SYMBOLS[currency]) {
+      return res.status(400).json({ error: `Invalid currency. Valid currencies: ${Object.keys(CURRENCY_SYMBOLS).join(', ')}` });
+    }
+    if (account && account.currency !== currency) {
+      return res.status(400).json({ error: `The account is in ${account.currency}, the transaction in ${currency}` });
+    }
+
+    let receivedAt = new Date().toISOString();
+    if (body.receivedAt) {
+      const date = new Date(body.receivedAt);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({ error: 'receivedAt must be a valid date' });
+      }
+      receivedAt = date.toISOString();
+    }
+
+    const institution = account?.institution || body.institution || 'cash';
+    if (!account) {
+      account = await resolveTransactionAccount(req.user, { institution, currency });
+    }
+
+    const { data: transaction, error } = await supabase
+      .from('transactions')
+      .insert({
+        user_id: req.user.id,
+        ...fields,
+        currency,
+        institution,
+        account_id: account?.id || null,
+        source: 'manual',
+        received_at: receivedAt,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Balance is updated by the transactions_apply_balance trigger
+    const balanceChange = calculateBalanceChange(transaction.type, parseFloat(transaction.amount));
+
+    console.log(`📝 Manual transaction: ${transaction.id} (${transaction.type}, $${transaction.amount})`);
+
+    res.status(201).json({
+      transaction: formatTransaction(transaction),
+      balanceChange,
+    });
+
+  } catch (error) {
+    console.error('Error creating transaction:', error);
+    res.status(500).json({ error: 'Failed to create transaction' });
+  }
+});
+
+app.patch('/api/transactions/:id', authMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { updates, error: validationError } = validateTransactionFields(body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (body.accountId !== undefined) {
+      updates.account_id = body.accountId || null;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No editable fields provided' });
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existing) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    // Moving a transaction between accounts moves its balance effect too (trigger)
+    if (updates.account_id) {
+      const account = await fetchUserAccount(req.user.id, updates.account_id);
+      if (!account) {
+        return res.status(400).json({ error: 'Account not found' });
+      }
+      if (account.currency !== existing.currency) {
+        return res.status(400).json({ error: `The account is in ${account.currency}, the transaction in ${existing.currency}` });
+      }
+    }
+
+    const { data: transaction, error } = await supabase
+      .from('transactions')
+      .update(updates)
+      .eq('id', existing.id)
+      .eq('user_id', req.user.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Remember the user's correction for the next transaction from this merchant
+    if (updates.category && updates.category !== existing.category) {
+      try {
+        await learnMerchantCategory(req.user, transaction);
+      } catch (learnError) {
+        console.error('⚠️ Could not learn merchant category:', learnError);
+      }
+    }
+
+    // The balance trigger reverses the old effect and applies the new one
+    const balanceChange =
+      calculateBalanceChange(transaction.type, parseFloat(transaction.amount)) -
+      calculateBalanceChange(existing.type, parseFloat(existing.amount));
+
+    console.log(`✏️ Transaction edited: ${transaction.id} (${Object.keys(updates).join(', ')})`);
+
+    res.json({
+      transaction: formatTransaction(transaction),
+      balanceChange,
+    });
+
+  } catch (error) {
+    console.error('Error updating transaction:', error);
+    res.status(500).json({ error: 'Failed to update transaction' });
+  }
+});
+
+app.delete('/api/transactions/:id', authMiddleware, async (req, res) => {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existing) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const { error } = await supabase
+      .from('transactions')
+      .delete()
+      .eq('id', existing.id)
+      .eq('user_id', req.user.id);
+
+    if (error) throw error;
+
+    // Reversed by the balance trigger
+    const balanceChange = -calculateBalanceChange(existing.type, parseFloat(existing.amount));
+
+    console.log(`🗑️ Transaction deleted: ${existing.id}`);
+
+    res.json({
+      status: 'deleted',
+      transactionId: existing.id,
+      balanceChange,
+    });
+
+  } catch (error) {
+    console.error('Error deleting transaction:', error);
+    res.status(500).json({ error: 'Failed to delete transaction' });
+  }
+});
+
+app.get('/api/summary', authMiddleware, async (req, res) => {
+  try {
+    const rateType = req.query.rateType || DEFAULT_RATE_TYPE;
+    if (!EXCHANGE_RATE_TYPES.includes(rateType)) {
+      return res.status(400).json({ error: `rateType must be one of: ${EXCHANGE_RATE_TYPES.join(', ')}` });
+    }
+
+    // Get recent transactions
+    const { data: transactions, error } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(10);
+
+    if (error) throw error;
+
+    const balances = await getUserBalances(req.user);
+    const rates = await getLatestExchangeRates(rateType);
+
+    // Calculate stats (totals converted to ARS, plus native totals per currency).
+    // Currencies without a rate only count in byCurrency and are listed in missingRates.
+    let totalReceived = 0;
+    let totalSent = 0;
+    const byType = {};
+    const byCurrency = {};
+    const missingRates = new Set(balances
+      .filter(b => convertToARS(b.balance, b.currency, rates) === null)
+      .map(b => b.currency));
+
+    for (const tx of transactions) {
+      // Money moved between the user's own accounts is neither income nor expense
+      if (tx.internal_transfer_id) continue;
+
+      const amount = parseFloat(tx.amount);
+      const currency = tx.currency || 'ARS';
+      const amountARS = convertToARS(amount, currency, rates);
+      if (amountARS === null) missingRates.add(currency);
+
+      if (!byType[tx.type]) byType[tx.type] = { count: 0, total: 0 };
+      byType[tx.type].count++;
+      byType[tx.type].total += amountARS || 0;
+
+      if (!byCurrency[currency]) byCurrency[currency] = { received: 0, sent: 0 };
+
+      if (['transfer_received', 'payment_received', 'deposit', 'refund_received'].includes(tx.type)) {
+        totalReceived += amountARS || 0;
+        byCurrency[currency].received += amount;
+      } else if (['transfer_sent', 'payment_sent', 'withdrawal', 'refund_sent'].includes(tx.type)) {
+        totalSent += amountARS || 0;
+        byCurrency[currency].sent += amount;
+      }
+    }
+
+    res.json({
+      user: {
+        id: req.user.id,
+        email: req.user.email,
+        name: req.user.name,
+        forwardingEmail: `user_${req.user.external_id}@${EMAIL_DOMAIN}`,
+      },
+      balance: parseFloat(req.user.balance),
+      currency: 'ARS',
+      balances,
+      totalBalanceARS: sumConvertedToARS(balances.map(b => [b.balance, b.currency]), rates),
+      rateType,
+      missingRates: [...missingRates].sort(),
+      stats: {
+        totalReceived,
+        totalSent,
+        netFlow: totalReceived - totalSent,
+        transactionCount: transactions.length,
+        byType,
+        byCurrency,
+      },
+      recentTransactions: transactions.map(tx => ({
+        ...formatTransaction(tx),
+        amountARS: convertToARS(parseFloat(tx.amount), tx.currency || 'ARS', rates),
+      })),
+    });
+
+  } catch (error) {
+    console.error('Error fetching summary:', error);
+    res.status(500).json({ error: 'Failed to fetch summary' });
+  }
+});
+
+// ============================================
+// ACCOUNT ENDPOINTS
+// ============================================
+//
+// Email transactions are attached automatically (see resolveTransactionAccount);
+// these endpoints name accounts, set opening balances and add the ones that
+// don't send emails.
+
+app.get('/api/accounts', authMiddleware, async (req, res) => {
+  try {
+    const accounts = await fetchUserAccounts(req.user.id);
+    res.json({ accounts: accounts.map(formatAccount) });
+
+  } catch (error) {
+    console.error('Error fetching accounts:', error);
+    res.status(500).json({ error: 'Failed to fetch accounts' });
+  }
+});
+
+app.post('/api/accounts', authMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    if (!body.institution) {
+      return res.status(400).json({ error: 'Institution is required' });
+    }
+
+    const { updates: fields, error: validationError } = validateAccountFields(body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const currency = String(body.currency || 'ARS').toUpperCase();
+    if (!CURRENCY_SYMBOLS[currency]) {
+      return res.status(400).json({ error: `Invalid currency. Valid currencies: ${Object.keys(CURRENCY_SYMBOLS).join(', ')}` });
+    }
+
+    const { data: account, error } = await supabase
+      .from('accounts')
+      .insert({ user_id: req.user.id, ...fields, currency })
+      .select()
+      .single();
+
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'An account for that institution, currency and last 4 digits already exists' });
+    }
+    if (error) throw error;
+
+    console.log(`🏦 Account created: ${req.user.email} - ${account.institution} ${account.currency}`);
+
+    res.status(201).json({ account: formatAccount(account) });
+
+  } catch (error) {
+    console.error('Error creating account:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+// Institution and currency identify the account and can't be changed
+app.patch('/api/accounts/:id', authMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    if (body.institution !== undefined || body.currency !== undefined) {
+      return res.status(400).json({ error: 'Institution and currency can\'t be changed; create a new account instead' });
+    }
+
+    const { updates, error: validationError } = validateAccountFields(body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No editable fields provided' });
+    }
+
+    // A new opening balance shifts the account (and total) balance by the difference (trigger)
+    const { data: account, error } = await supabase
+      .from('accounts')
+      .update(updates)
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select()
+      .maybeSingle();
+
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'An account for that institution, currency and last 4 digits already exists' });
+    }
+    if (error) throw error;
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json({ account: formatAccount(account) });
+
+  } catch (error) {
+    console.error('Error updating account:', error);
+    res.status(500).json({ error: 'Failed to update account' });
+  }
+});
+
+// Its transactions are kept (without an account); the opening balance
+// stops counting towards the total
+app.delete('/api/accounts/:id', authMiddleware, async (req, res) => {
+  try {
+    const { data: deleted, error } = await supabase
+      .from('accounts')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select();
+
+    if (error) throw error;
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json({ status: 'deleted', accountId: req.params.id });
+
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// ============================================
+// INTERNAL TRANSFER ENDPOINTS
+// ============================================
+//
+// Pairs are detected when the second half arrives (webhook, import commit) or
+// on demand over the history; detected and confirmed pairs are left out of
+// summary, analytics, budgets and subscriptions.
+
+app.get('/api/internal-transfers', authMiddleware, async (req, res) => {
+  try {
+    const status = req.query.status || 'active';
+    if (!INTERNAL_TRANSFER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${INTERNAL_TRANSFER_STATUSES.join(', ')}` });
+    }
+
+    let query = supabase
+      .from('internal_transfers')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(MAX_PAGE_SIZE);
+
+    if (status === 'active') {
+      query = query.neq('status', 'unlinked');
+    } else if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data: pairs, error } = await query;
+    if (error) throw error;
+
+    res.json({ transfers: await formatInternalTransfers(req.user.id, pairs || []) });
+
+  } catch (error) {
+    console.error('Error fetching internal transfers:', error);
+    res.status(500).json({ error: 'Failed to fetch internal transfers' });
+  }
+});
+
+// Scan the history (optionally from/to) for unpaired transfers.
+// Needs the user's name: the counterparty must be the user themselves.
+app.post('/api/internal-transfers/detect', authMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const range = {};
+
+    for (const field of ['from', 'to']) {
+      if (body[field]) {
+        const date = new Date(body[field]);
+        if (isNaN(date.getTime())) {
+          return res.status(400).json({ error: `${field} must be a valid date` });
+        }
+        range[field] = date.toISOString();
+      }
+    }
+
+    if (ownNameTokens(req.user.name).length === 0) {
+      return res.status(400).json({ error: 'Set your name first: transfers are matched against it' });
+    }
+
+    const pairs = await detectInternalTransfers(req.user, range);
+
+    console.log(`🔁 Internal transfers detected: ${req.user.email} - ${pairs.length}`);
+
+    res.json({
+      detected: pairs.length,
+      transfers: await formatInternalTransfers(req.user.id, pairs),
+    });
+
+  } catch (error) {
+    console.error('Error detecting internal transfers:', error);
+    res.status(500).json({ error: 'Failed to detect internal transfers' });
+  }
+});
+
+app.post('/api/internal-transfers/:id/confirm', authMiddleware, async (req, res) => {
+  await updateInternalTransferStatus(req, res, 'confirmed');
+});
+
+// The pair is kept as unlinked so detection doesn't pair it again
+app.post('/api/internal-transfers/:id/unlink', authMiddleware, async (req, res) => {
+  await updateInternalTransferStatus(req, res, 'unlinked');
+});
+
+// ============================================
+// ANALYTICS ENDPOINTS
+// ============================================
+
+/**
+ * GET /api/analytics
+ *   period=month&month=2024-03            (default: current month)
+ *   period=quarter&quarter=2024-Q1        (default: current quarter)
+ *   period=custom&from=2024-01-01&to=2024-02-15   (to is inclusive)
+ *   compare=previous|year                 (optional comparison period)
+ *   granularity=day|week                  (time series buckets)
+ *   rateType=official|mep|blue            (rate other currencies are converted to ARS with)
+ */
+app.get('/api/analytics', authMiddleware, async (req, res) => {
+  try {
+    const period = resolveAnalyticsPeriod(req.query);
+    if (period.error) {
+      return res.status(400).json({ error: period.error });
+    }
+
+    const granularity = req.query.granularity || (daysBetween(period.start, period.end) > 62 ? 'week' : 'day');
+    if (!['day', 'week'].includes(granularity)) {
+      return res.status(400).json({ error: 'granularity must be "day" or "week"' });
+    }
+
+    const { compare } = req.query;
+    if (compare && !['previous', 'year'].includes(compare)) {
+      return res.status(400).json({ error: 'compare must be "previous" or "year"' });
+    }
+
+    const rateType = req.query.rateType || DEFAULT_RATE_TYPE;
+    if (!EXCHANGE_RATE_TYPES.includes(rateType)) {
+      return res.status(400).json({ error: `rateType must be one of: ${EXCHANGE_RATE_TYPES.join(', ')}` });
+    }
+
+    const current = await fetchPeriodAnalytics(req.user.id, period, granularity, rateType);
+
+    let comparison = null;
+    if (compare) {
+      const comparePeriod = shiftAnalyticsPeriod(period, compare);
+      const previous = await fetchPeriodAnalytics(req.user.id, comparePeriod, granularity, rateType);
+      comparison = {
+        ...previous,
+        change: {
+          income: describeChange(current.totals.income, previous.totals.income),
+          expenses: describeChange(current.totals.expenses, previous.totals.expenses),
+          netFlow: describeChange(current.totals.netFlow, previous.totals.netFlow),
+        },
+      };
+    }
+
+    res.json({
+      currency: 'ARS',
+      rateType,
+      ...current,
+      comparison,
+    });
+
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+});
+
+// ============================================
+// BUDGET ENDPOINTS
+// ============================================
+
+app.get('/api/budgets', authMiddleware, async (req, res) => {
+  try {
+    const { data: budgets, error } = await supabase
+      .from('budgets')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('category');
+
+    if (error) throw error;
+
+    res.json({ budgets: budgets.map(formatBudget) });
+
+  } catch (error) {
+    console.error('Error fetching budgets:', error);
+    res.status(500).json({ error: 'Failed to fetch budgets' });
+  }
+});
+
+app.post('/api/budgets', authMiddleware, async (req, res) => {
+  try {
+    const { category, monthlyLimit, alertsEnabled = true } = req.body || {};
+
+    if (!CATEGORY_LABELS[category]) {
+      return res.status(400).json({ error: `Invalid category. Valid categories: ${Object.keys(CATEGORY_LABELS).join(', ')}` });
+    }
+
+    const limit = parseFloat(monthlyLimit);
+    if (isNaN(limit) || limit <= 0) {
+      return res.status(400).json({ error: 'monthlyLimit must be a positive number' });
+    }
+
+    const { data: existing } = await supabase
+      .from('budgets')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .eq('category', category)
+      .single();
+
+    if (existing) {
+      return res.status(400).json({ error: 'A budget for this category already exists' });
+    }
+
+    const { data: budget, error } = await supabase
+      .from('budgets')
+      .insert({
+        user_id: req.user.id,
+        category,
+        monthly_limit: limit,
+        alerts_enabled: Boolean(alertsEnabled),
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`💰 Budget created: ${req.user.email} - ${category} $${limit}`);
+
+    res.status(201).json({ budget: formatBudget(budget) });
+
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    res.status(500).json({ error: 'Failed to create budget' });
+  }
+});
+
+app.patch('/api/budgets/:id', authMiddleware, async (req, res) => {
+  try {
+    const { monthlyLimit, alertsEnabled } = req.body || {};
+    const updates = {};
+
+    if (monthlyLimit !== undefined) {
+      const limit = parseFloat(monthlyLimit);
+      if (isNaN(limit) || limit <= 0) {
+        return res.status(400).json({ error: 'monthlyLimit must be a positive number' });
+      }
+      updates.monthly_limit = limit;
+    }
+
+    if (alertsEnabled !== undefined) {
+      updates.alerts_enabled = Boolean(alertsEnabled);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No editable fields provided' });
+    }
+
+    const { data: budget, error } = await supabase
+      .from('budgets')
+      .update(updates)
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select()
+      .single();
+
+    if (error || !budget) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    res.json({ budget: formatBudget(budget) });
+
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    res.status(500).json({ error: 'Failed to update budget' });
+  }
+});
+
+app.delete('/api/budgets/:id', authMiddleware, async (req, res) => {
+  try {
+    const { data: deleted, error } = await supabase
+      .from('budgets')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select();
+
+    if (error) throw error;
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    res.json({ status: 'deleted', budgetId: req.params.id });
+
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    res.status(500).json({ error: 'Failed to delete budget' });
+  }
+});
+
+/**
+ * GET /api/budgets/status?month=2024-03 (default: current month)
+ * Spent, remaining and projected month-end spending per budget
+ * (other currencies converted to ARS with rateType, default official)
+ */
+app.get('/api/budgets/status', authMiddleware, async (req, res) => {
+  try {
+    const today = reportToday();
+    const month = req.query.month || today.slice(0, 7);
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({ error: 'month must be formatted as YYYY-MM' });
+    }
+
+    const rateType = req.query.rateType || DEFAULT_RATE_TYPE;
+    if (!EXCHANGE_RATE_TYPES.includes(rateType)) {
+      return res.status(400).json({ error: `rateType must be one of: ${EXCHANGE_RATE_TYPES.join(', ')}` });
+    }
+
+    const { data: budgets, error } = await supabase
+      .from('budgets')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('category');
+
+    if (error) throw error;
+
+    const start = `${month}-01`;
+    const end = addMonths(start, 1);
+    const { spending, missingRates } = await fetchCategorySpending(req.user.id, start, end, rateType);
+
+    // Projection: current pace extrapolated to month end (past months are final)
+    const daysInMonth = daysBetween(start, end);
+    const daysElapsed = today < start ? 0 : today >= end ? daysInMonth : daysBetween(start, today) + 1;
+
+    const status = budgets.map(budget => {
+      const limit = parseFloat(budget.monthly_limit);
+      const spent = spending[budget.category] || 0;
+      const projected = daysElapsed > 0 ? (spent / daysElapsed) * daysInMonth : 0;
+      const percentUsed = (spent / limit) * 100;
+
+      return {
+        ...formatBudget(budget),
+        spent,
+        remaining: limit - spent,
+        percentUsed,
+        projected,
+        projectedOverLimit: projected > limit,
+        status: percentUsed >= 100 ? 'exceeded' : percentUsed >= BUDGET_ALERT_THRESHOLDS[0] ? 'warning' : 'ok',
+      };
+    });
+
+    res.json({
+      month,
+      rateType,
+      daysElapsed,
+      daysInMonth,
+      budgets: status,
+      missingRates,
+    });
+
+  } catch (error) {
+    console.error('Error fetching budget status:', error);
+    res.status(500).json({ error: 'Failed to fetch budget status' });
+  }
+});
+
+// ============================================
+// STATEMENT IMPORT ENDPOINTS
+// ============================================
+
+// Upload a statement file as the raw request body. Nothing is created yet:
+// the parsed rows are saved as a preview with a create/duplicate/invalid decision each.
+// Query: profile (galicia, santander, bbva, mercadopago, custom), format (csv, xlsx, ofx;
+// guessed from filename/content if missing), filename, mapping (JSON, custom profile only)
+app.post('/api/imports', authMiddleware, express.raw({ type: () => true, limit: IMPORT_MAX_FILE_SIZE }), async (req, res) => {
+  try {
+    const { profile: profileId, filename } = req.query;
+
+    const profile = STATEMENT_PROFILES[profileId];
+    if (!profile) {
+      return res.status(400).json({ error: `Invalid profile. Valid profiles: ${Object.keys(STATEMENT_PROFILES).join(', ')}` });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send the statement file as the request body' });
+    }
+
+    const format = String(req.query.format || detectStatementFormat(filename, req.body)).toLowerCase();
+    if (!STATEMENT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Valid formats: ${STATEMENT_FORMATS.join(', ')}` });
+    }
+
+    const { mapping, error: mappingError } = resolveStatementMapping(profileId, req.query.mapping);
+    if (mappingError) {
+      return res.status(400).json({ error: mappingError });
+    }
+
+    const { rows, error: parseError } = await parseStatement(req.body, format, mapping);
+    if (parseError) {
+      return res.status(400).json({ error: parseError });
+    }
+
+    const rules = await fetchUserRules(req.user.id);
+    for (const row of rows) {
+      if (row.error) continue;
+      row.institution = mapping.institution;
+      row.type = inferStatementType([row.description, row.counterparty].join(' '), row.amount);
+      const rule = findMatchingRule(rules, row);
+      row.category = rule ? rule.category : null;
+      if (rule?.type) row.type = rule.type;
+    }
+
+    await markStatementDuplicates(req.user.id, rows);
+
+    const { data: record, error } = await supabase
+      .from('statement_imports')
+      .insert({
+        user_id: req.user.id,
+        profile: profileId,
+        format,
+        filename: filename ? String(filename).slice(0, 255) : null,
+        status: 'preview',
+        rows,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`📥 Import preview: ${req.user.email} - ${profileId} ${format}, ${rows.length} rows`);
+
+    res.status(201).json({ import: formatImport(record), rows });
+
+  } catch (error) {
+    console.error('Error importing statement:', error);
+    res.status(500).json({ error: 'Failed to import statement' });
+  }
+});
+
+app.get('/api/imports', authMiddleware, async (req, res) => {
+  try {
+    const { data: imports, error } = await supabase
+      .from('statement_imports')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(50);
+
+    if (error) throw error;
+
+    res.json({ imports: imports.map(formatImport) });
+
+  } catch (error) {
+    console.error('Error fetching imports:', error);
+    res.status(500).json({ error: 'Failed to fetch imports' });
+  }
+});
+
+app.get('/api/imports/:id', authMiddleware, async (req, res) => {
+  try {
+    const { data: record, error } = await supabase
+      .from('statement_imports')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (error || !record) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    res.json({ import: formatImport(record), rows: record.rows });
+
+  } catch (error) {
+    console.error('Error fetching import:', error);
+    res.status(500).json({ error: 'Failed to fetch import' });
+  }
+});
+
+// Create the transactions the preview marked as "create". Duplicates are checked
+// again first, in case emails for the same movements arrived since the preview.
+app.post('/api/imports/:id/commit', authMiddleware, async (req, res) => {
+  try {
+    const { data: record, error: fetchError } = await supabase
+      .from('statement_imports')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !record) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    // Claim the import so a double submit can't insert the rows twice. A
+    // partial import (stopped by an error) resumes with the rows not inserted yet.
+    const { data: claimed, error: claimError } = await supabase
+      .from('statement_imports')
+      .update({ status: 'committed', committed_at: new Date().toISOString() })
+      .eq('id', record.id)
+      .in('status', ['preview', 'partial'])
+      .select()
+      .single();
+
+    if (claimError || !claimed) {
+      return res.status(409).json({ error: 'Import was already committed' });
+    }
+
+    const rows = record.rows.map(row => row.error || row.imported ? row : { ...row, status: null, duplicateOf: null });
+    const accounts = new Map();
+    let created = record.created_count || 0;
+
+    try {
+      await markStatementDuplicates(req.user.id, rows, { importId: record.id });
+
+      const toCreate = rows.filter(row => row.status === 'create' && !row.imported);
+      for (const row of toCreate) {
+        const key = `${row.institution}:${row.currency}`;
+        if (!accounts.has(key)) {
+          accounts.set(key, await resolveTransactionAccount(req.user, { institution: row.institution, currency: row.currency }));
+        }
+      }
+
+      for (let i = 0; i < toCreate.length; i += IMPORT_INSERT_BATCH_SIZE) {
+        const batch = toCreate.slice(i, i + IMPORT_INSERT_BATCH_SIZE);
+
+        // Balances are updated per row by the transactions_apply_balance trigger
+        const { error } = await supabase
+          .from('transactions')
+          .insert(batch.map(row => ({
+            user_id: req.user.id,
+            type: row.type,
+            amount: Math.abs(row.amount),
+            currency: row.currency,
+            counterparty: row.counterparty,
+            description: row.description,
+            reference_id: row.reference,
+            category: row.category,
+            institution: row.institution,
+            account_id: accounts.get(`${row.institution}:${row.currency}`)?.id || null,
+            source: 'import',
+            import_id: record.id,
+            received_at: reportTimestamp(row.date),
+          })));
+
+        if (error) throw error;
+        batch.forEach(row => { row.imported = true; });
+        created += batch.length;
+      }
+    } catch (insertError) {
+      // Rows inserted so far stay (linked by import_id); the import reports how many
+      await supabase
+        .from('statement_imports')
+        .update({ status: created > 0 ? 'partial' : 'preview', rows, created_count: created })
+        .eq('id', record.id);
+      throw insertError;
+    }
+
+    const { data: committed, error: updateError } = await supabase
+      .from('statement_imports')
+      .update({ rows, created_count: created })
+      .eq('id', record.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    console.log(`📥 Import committed: ${req.user.email} - ${created} transactions created`);
+
+    // Pair imported transfers with each other and with the email-sourced ones
+    let internalTransfers = 0;
+    const dates = rows.filter(row => row.status === 'create').map(row => row.date).sort();
+    if (dates.length > 0) {
+      try {
+        const pairs = await detectInternalTransfers(req.user, {
+          from: reportTimestamp(addDays(dates[0], -1)),
+          to: reportTimestamp(addDays(dates[dates.length - 1], 2)),
+        });
+        internalTransfers = pairs.length;
+      } catch (pairError) {
+        console.error('⚠️ Internal transfer detection failed:', pairError);
+      }
+    }
+
+    res.json({ import: formatImport(committed), created, internalTransfers, rows });
+
+  } catch (error) {
+    console.error('Error committing import:', error);
+    res.status(500).json({ error: 'Failed to commit import' });
+  }
+});
+
+// ============================================
+// SUBSCRIPTION ENDPOINTS
+// ============================================
+
+// Recurring payments detected from the user's history (nothing is stored)
+app.get('/api/subscriptions', authMiddleware, async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true';
+    const today = reportToday();
+
+    const transactions = await fetchSubscriptionCandidates(req.user.id, addMonths(today, -SUBSCRIPTION_LOOKBACK_MONTHS));
+    const subscriptions = detectSubscriptions(transactions, today)
+      .filter(subscription => includeInactive || subscription.status !== 'inactive');
+
+    res.json({
+      subscriptions,
+      flagged: subscriptions.filter(subscription => subscription.flags.length > 0).length,
+    });
+
+  } catch (error) {
+    console.error('Error detecting subscriptions:', error);
+    res.status(500).json({ error: 'Failed to detect subscriptions' });
+  }
+});
+
+// ============================================
+// CATEGORIZATION RULES ENDPOINTS
+// ============================================
+
+app.get('/api/rules', authMiddleware, async (req, res) => {
+  try {
+    const rules = await fetchUserRules(req.user.id, { includeDisabled: true });
+    res.json({ rules: rules.map(formatRule) });
+
+  } catch (error) {
+    console.error('Error fetching rules:', error);
+    res.status(500).json({ error: 'Failed to fetch rules' });
+  }
+});
+
+app.post('/api/rules', authMiddleware, async (req, res) => {
+  try {
+    const { updates: fields, error: validationError } = validateRuleFields(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!fields.category) {
+      return res.status(400).json({ error: 'Category is required' });
+    }
+
+    if (!hasRuleCondition(fields)) {
+      return res.status(400).json({ error: 'At least one of counterpartyContains, descriptionMatches or institution is required' });
+    }
+
+    const { data: rule, error } = await supabase
+      .from('categorization_rules')
+      .insert({ user_id: req.user.id, ...fields })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🧭 Rule created: ${req.user.email} → ${rule.category}`);
+
+    res.status(201).json({ rule: formatRule(rule) });
+
+  } catch (error) {
+    console.error('Error creating rule:', error);
+    res.status(500).json({ error: 'Failed to create rule' });
+  }
+});
+
+app.patch('/api/rules/:id', authMiddleware, async (req, res) => {
+  try {
+    const { updates, error: validationError } = validateRuleFields(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No editable fields provided' });
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('categorization_rules')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existing) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    if (updates.category === null || !hasRuleCondition({ ...existing, ...updates })) {
+      return res.status(400).json({ error: 'A rule needs a category and at least one condition' });
+    }
+
+    const { data: rule, error } = await supabase
+      .from('categorization_rules')
+      .update(updates)
+      .eq('id', existing.id)
+      .eq('user_id', req.user.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ rule: formatRule(rule) });
+
+  } catch (error) {
+    console.error('Error updating rule:', error);
+    res.status(500).json({ error: 'Failed to update rule' });
+  }
+});
+
+app.delete('/api/rules/:id', authMiddleware, async (req, res) => {
+  try {
+    const { data: deleted, error } = await supabase
+      .from('categorization_rules')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select();
+
+    if (error) throw error;
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json({ status: 'deleted', ruleId: req.params.id });
+
+  } catch (error) {
+    console.error('Error deleting rule:', error);
+    res.status(500).json({ error: 'Failed to delete rule' });
+  }
+});
+
+// Which existing transactions the current rules would change.
+// Accepts the same filters as GET /api/transactions.
+app.get('/api/rules/preview', authMiddleware, async (req, res) => {
+  try {
+    const { changes, error: planError } = await planRuleChanges(req.user, req.query);
+    if (planError) {
+      return res.status(400).json({ error: planError });
+    }
+
+    res.json({ changes, total: changes.length });
+
+  } catch (error) {
+    console.error('Error previewing rules:', error);
+    res.status(500).json({ error: 'Failed to preview rules' });
+  }
+});
+
+// Apply the rules to existing transactions (body takes the same filters as preview)
+app.post('/api/rules/apply', authMiddleware, async (req, res) => {
+  try {
+    const { changes, error: planError } = await planRuleChanges(req.user, req.body || {});
+    if (planError) {
+      return res.status(400).json({ error: planError });
+    }
+
+    // One UPDATE per distinct (category, type) result; type changes go
+    // through the balance trigger like any other edit
+    const groups = new Map();
+    for (const change of changes) {
+      const key = `${change.to.category}|${change.to.type}`;
+      if (!groups.has(key)) groups.set(key, { updates: change.to, ids: [] });
+      groups.get(key).ids.push(change.transactionId);
+    }
+
+    // ids go in the request URL, so at most 100 per UPDATE
+    for (const { updates, ids } of groups.values()) {
+      for (let i = 0; i < ids.length; i += 100) {
+        const { error } = await supabase
+          .from('transactions')
+          .update(updates)
+          .eq('user_id', req.user.id)
+          .in('id', ids.slice(i, i + 100));
+
+        if (error) throw error;
+      }
+    }
+
+    console.log(`🧭 Rules applied: ${req.user.email} - ${changes.length} transactions updated`);
+
+    res.json({ status: 'applied', updated: changes.length, changes });
+
+  } catch (error) {
+    console.error('Error applying rules:', error);
+    res.status(500).json({ error: 'Failed to apply rules' });
+  }
+});
+
+// ============================================
+// MERCHANT CATEGORY ENDPOINTS
+// ============================================
+
+// Categories learned from the user's recategorizations
+app.get('/api/merchant-categories', authMiddleware, async (req, res) => {
+  try {
+    const { data: mappings, error } = await supabase
+      .from('merchant_categories')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('updated_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      mappings: mappings.map(formatMerchantCategory),
+      shareGlobal: Boolean(req.user.share_merchant_categories),
+    });
+
+  } catch (error) {
+    console.error('Error fetching merchant categories:', error);
+    res.status(500).json({ error: 'Failed to fetch merchant categories' });
+  }
+});
+
+// Opt in/out of the global merchant memory (share your mappings, use everyone's)
+app.patch('/api/merchant-categories/settings', authMiddleware, async (req, res) => {
+  try {
+    const { shareGlobal } = req.body || {};
+
+    if (typeof shareGlobal !== 'boolean') {
+      return res.status(400).json({ error: 'shareGlobal must be a boolean' });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({ share_merchant_categories: shareGlobal })
+      .eq('id', req.user.id);
+
+    if (error) throw error;
+
+    res.json({ shareGlobal });
+
+  } catch (error) {
+    console.error('Error updating merchant category settings:', error);
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+app.delete('/api/merchant-categories/:id', authMiddleware, async (req, res) => {
+  try {
+    const { data: deleted, error } = await supabase
+      .from('merchant_categories')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select();
+
+    if (error) throw error;
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ error: 'Mapping not found' });
+    }
+
+    res.json({ status: 'deleted', mappingId: req.params.id });
+
+  } catch (error) {
+    console.error('Error deleting merchant category:', error);
+    res.status(500).json({ error: 'Failed to delete mapping' });
+  }
+});
+
+// ============================================
+// PARSING FAILURES REVIEW
+// ============================================
+
+// parsing_failures.user_id holds the worker's userId (users.external_id)
+
+app.get('/api/parsing-failures', authMiddleware, async (req, res) => {
+  try {
+    const { status = 'unresolved', offset = 0 } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    if (!PARSING_FAILURE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Valid statuses: ${PARSING_FAILURE_STATUSES.join(', ')}` });
+    }
+
+    let query = supabase
+      .from('parsing_failures')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.external_id)
+      .order('created_at', { ascending: false })
+      .range(parseInt(offset), parseInt(offset) + limit - 1);
+
+    if (status !== 'all') {
+      query = query.eq('resolved', status === 'resolved');
+    }
+
+    const { data: failures, count, error } = await query;
+
+    if (error) throw error;
+
+    res.json({
+      failures: failures.map(formatParsingFailure),
+      total: count,
+      limit,
+      offset: parseInt(offset),
+    });
+
+  } catch (error) {
+    console.error('Error fetching parsing failures:', error);
+    res.status(500).json({ error: 'Failed to fetch parsing failures' });
+  }
+});
+
+app.post('/api/parsing-failures/:id/resolve', authMiddleware, async (req, res) => {
+  try {
+    const { data: failure, error } = await supabase
+      .from('parsing_failures')
+      .update({ resolved: true, resolved_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.external_id)
+      .select()
+      .single();
+
+    if (error || !failure) {
+      return res.status(404).json({ error: 'Parsing failure not found' });
+    }
+
+    console.log(`✔️ Parsing failure resolved: ${failure.id}`);
+
+    res.json({ failure: formatParsingFailure(failure) });
+
+  } catch (error) {
+    console.error('Error resolving parsing failure:', error);
+    res.status(500).json({ error: 'Failed to resolve parsing failure' });
+  }
+});
+
+// Turn a failure into a transaction: the client supplies what the parser
+// couldn't extract, the rest (institution, subject, sender) comes from the failure
+app.post('/api/parsing-failures/:id/transaction', authMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    if (!body.type || body.amount === undefined) {
+      return res.status(400).json({ error: 'Type and amount are required' });
+    }
+
+    const { updates: fields, error: validationError } = validateTransactionFields(body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const currency = (body.currency || 'ARS').toUpperCase();
+    if (!CURRENCY_SYMBOLS[currency]) {
+      return res.status(400).json({ error: `Invalid currency. Valid currencies: ${Object.keys(CURRENCY_SYMBOLS).join(', ')}` });
+    }
+
+    if (body.receivedAt && isNaN(new Date(body.receivedAt).getTime())) {
+      return res.status(400).json({ error: 'receivedAt must be a valid date' });
+    }
+
+    const { data: failure, error: fetchError } = await supabase
+      .from('parsing_failures')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.external_id)
+      .single();
+
+    if (fetchError || !failure) {
+      return res.status(404).json({ error: 'Parsing failure not found' });
+    }
+
+    // Claim the failure first so a double submit can't create two transactions
+    const { data: claimed, error: claimError } = await supabase
+      .from('parsing_failures')
+      .update({ resolved: true, resolved_at: new Date().toISOString() })
+      .eq('id', failure.id)
+      .eq('resolved', false)
+      .select()
+      .single();
+
+    if (claimError || !claimed) {
+      return res.status(409).json({ error: 'Parsing failure is already resolved' });
+    }
+
+    const rawData = failure.raw_data || {};
+
+    let result;
+    try {
+      result = await createEmailTransaction(req.user, {
+        ...fields,
+        currency,
+        referenceId: rawData.referenceId || null,
+        institution: body.institution || rawData.institution,
+        subject: failure.email_subject,
+        from: failure.email_from,
+        archiveKey: failure.archive_key,
+        receivedAt: new Date(body.receivedAt || rawData.receivedAt || failure.created_at).toISOString(),
+      });
+    } catch (insertError) {
+      // Put the failure back in the queue
+      await supabase
+        .from('parsing_failures')
+        .update({ resolved: false, resolved_at: null })
+        .eq('id', failure.id);
+      throw insertError;
+    }
+
+    const { transaction, balanceChange } = result;
+
+    const { data: linked, error: linkError } = await supabase
+      .from('parsing_failures')
+      .update({ transaction_id: transaction.id })
+      .eq('id', failure.id)
+      .select()
+      .single();
+
+    if (linkError) throw linkError;
+
+    console.log(`🔁 Parsing failure ${failure.id} → transaction ${transaction.id}`);
+
+    res.status(201).json({
+      transaction: formatTransaction(transaction),
+      failure: formatParsingFailure(linked),
+      balanceChange,
+    });
+
+  } catch (error) {
+    console.error('Error converting parsing failure:', error);
+    res.status(500).json({ error: 'Failed to create transaction from parsing failure' });
+  }
+});
+
+// ============================================
+// EMAIL REPROCESSING ENDPOINTS
+// ============================================
+
+// Run the worker's current parser again over the archived raw emails of a period
+// (body: from, to). Nothing is written yet: each email is saved as a preview row
+// with its update/create/unchanged/skipped decision and the fields that would change.
+app.post('/api/reprocess', authMiddleware, async (req, res) => {
+  try {
+    if (!WORKER_URL) {
+      return res.status(503).json({ error: 'Email reprocessing is not configured (WORKER_URL)' });
+    }
+
+    const body = req.body || {};
+    const range = {};
+
+    for (const field of ['from', 'to']) {
+      if (body[field]) {
+        const date = new Date(body[field]);
+        if (isNaN(date.getTime())) {
+          return res.status(400).json({ error: `${field} must be a valid date` });
+        }
+        range[field] = date.toISOString();
+      }
+    }
+
+    const { emails, truncated } = await fetchReparsedEmails(req.user, range);
+    const rows = await planReprocessRows(req.user, emails);
+
+    const { data: record, error } = await supabase
+      .from('email_reprocess_runs')
+      .insert({
+        user_id: req.user.id,
+        status: 'preview',
+        period_from: range.from || null,
+        period_to: range.to || null,
+        rows,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🔄 Reprocess preview: ${req.user.email} - ${rows.length} emails`);
+
+    res.status(201).json({ run: formatReprocessRun(record), truncated, rows });
+
+  } catch (error) {
+    console.error('Error reprocessing emails:', error);
+    res.status(500).json({ error: 'Failed to reprocess emails' });
+  }
+});
+
+app.get('/api/reprocess/:id', authMiddleware, async (req, res) => {
+  try {
+    const { data: record, error } = await supabase
+      .from('email_reprocess_runs')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (error || !record) {
+      return res.status(404).json({ error: 'Reprocess run not found' });
+    }
+
+    res.json({ run: formatReprocessRun(record), rows: record.rows });
+
+  } catch (error) {
+    console.error('Error fetching reprocess run:', error);
+    res.status(500).json({ error: 'Failed to fetch reprocess run' });
+  }
+});
+
+// Write the corrections the preview found (optionally only body.archiveKeys; the
+// run stays partial until the rows left out are applied too).
+// Transactions edited since the preview are left alone and reported as conflicts;
+// balances follow through the transactions_apply_balance trigger.
+app.post('/api/reprocess/:id/apply', authMiddleware, async (req, res) => {
+  try {
+    const { archiveKeys } = req.body || {};
+
+    if (archiveKeys !== undefined && (!Array.isArray(archiveKeys) || archiveKeys.some(key => typeof key !== 'string'))) {
+      return res.status(400).json({ error: 'archiveKeys must be an array of archive keys' });
+    }
+
+    const { data: record, error: fetchError } = await supabase
+      .from('email_reprocess_runs')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !record) {
+      return res.status(404).json({ error: 'Reprocess run not found' });
+    }
+
+    // Claim the run so a double submit can't apply it twice. A partial run
+    // (stopped by an error or applied for some rows) resumes with the rows
+    // that have no result yet.
+    const { data: claimed, error: claimError } = await supabase
+      .from('email_reprocess_runs')
+      .update({ status: 'applied', applied_at: new Date().toISOString() })
+      .eq('id', record.id)
+      .in('status', ['preview', 'partial'])
+      .select()
+      .single();
+
+    if (claimError || !claimed) {
+      return res.status(409).json({ error: 'Reprocess run was already applied' });
+    }
+
+    const selected = archiveKeys ? new Set(archiveKeys) : null;
+    const rows = record.rows.map(row => ({ ...row }));
+    let updated = record.updated_count || 0;
+    let created = record.created_count || 0;
+
+    try {
+      for (const row of rows) {
+        if (row.status !== 'update' && row.status !== 'create') continue;
+        if (row.result && row.result !== 'not_selected') continue;
+
+        if (selected && !selected.has(row.archiveKey)) {
+          row.result = 'not_selected';
+          continue;
+        }
+
+        row.result = row.status === 'update'
+          ? await applyReprocessUpdate(req.user, row)
+          : await applyReprocessCreate(req.user, row);
+
+        if (row.result === 'updated') updated++;
+        if (row.result === 'created') created++;
+      }
+    } catch (applyError) {
+      // Rows written so far stay; the run reports which ones
+      await supabase
+        .from('email_reprocess_runs')
+        .update({ status: updated + created > 0 ? 'partial' : 'preview', rows, updated_count: updated, created_count: created })
+        .eq('id', record.id);
+      throw applyError;
+    }
+
+    // Rows left out can still be applied later
+    const pending = rows.some(row => row.result === 'not_selected');
+
+    const { data: applied, error: updateError } = await supabase
+      .from('email_reprocess_runs')
+      .update({ status: pending ? 'partial' : 'applied', rows, updated_count: updated, created_count: created })
+      .eq('id', record.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    const conflicts = rows.filter(row => row.result === 'conflict').length;
+    console.log(`🔄 Reprocess applied: ${req.user.email} - ${updated} updated, ${created} created, ${conflicts} conflicts`);
+
+    res.json({ run: formatReprocessRun(applied), updated, created, conflicts, rows });
+
+  } catch (error) {
+    console.error('Error applying reprocess run:', error);
+    res.status(500).json({ error: 'Failed to apply reprocess run' });
+  }
+});
+
+// ============================================
+// WEBHOOK ENDPOINT (from Cloudflare Worker)
+// ============================================
+
+app.post('/webhook', webhookAuthMiddleware, webhookDeliveryMiddleware, async (req, res) => {
+  try {
+    const data = req.body;
+    console.log('📧 Webhook received:', JSON.stringify(data, null, 2));
+
+    // Handle parsing failures
+    if (!data.valid) {
+      // Deleted (or never registered) accounts keep no parsing failures
+      if (data.userId) {
+        const { data: owner } = await supabase
+          .from('users')
+          .select('id')
+          .eq('external_id', data.userId)
+          .single();
+
+        if (!owner) {
+          console.warn(`⚠️ Parsing failure for unknown user dropped: ${data.userId}`);
+          return res.json({ status: 'skipped', reason: 'unknown_user' });
+        }
+      }
+
+      await logParsingFailure(data);
+      return res.json({ status: 'logged', message: 'Parsing failure recorded' });
+    }
+
+    // Handle promotional emails (log but don't create transaction)
+    if (data.isPromotional) {
+      console.log(`📣 Promotional email from ${data.institutionName || 'unknown'}: ${data.subject}`);
+      // Could store in a 'promotions' table for analytics if needed
+      return res.json({
+        status: 'logged',
+        type: 'promotional',
+        institution: data.institution,
+        message: 'Promotional email logged'
+      });
+    }
+
+    // Get user by external_id
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('external_id', data.userId)
+      .single();
+
+    if (userError || !user) {
+      console.warn(`⚠️ No user found for: ${data.userId}`);
+      return res.status(404).json({ error: 'User not found. They must register first.' });
+    }
+
+    // Check duplicate using emailHash (unique fingerprint of the email content)
+    // This prevents the same email from being processed twice, while allowing
+    // different transactions with the same amount/counterparty
+    if (data.emailHash) {
+      const { data: existing } = await supabase
+        .from('transactions')
+        .select('id')
+        .eq('user_id', user.id)
+        .eq('email_hash', data.emailHash)
+        .single();
+
+      if (existing) {
+        console.log(`⏭️ Skipping duplicate (emailHash): ${data.emailHash.substring(0, 16)}...`);
+        return res.json({ status: 'skipped', reason: 'duplicate' });
+      }
+    }
+
+    // Note: We only use emailHash for duplicate detection now.
+    // referenceId is not reliable because MP may reuse IDs or parsing may extract wrong IDs.
+
+    const { transaction, balanceChange } = await createEmailTransaction(user, data);
+
+    const institutionLabel = data.institutionName || data.institution || 'Unknown';
+    console.log(`✅ Transaction: ${transaction.id}`);
+    console.log(`   User: ${user.email}, Institution: ${institutionLabel}`);
+    console.log(`   Type: ${data.type}, Amount: $${data.amount}`);
+    console.log(`   Balance change: ${balanceChange >= 0 ? '+' : ''}${balanceChange}`);
+
+    return res.json({
+      status: 'success',
+      transactionId: transaction.id,
+      balanceChange,
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Deterministic categorization pass, called by the worker before the AI.
+// Checks the user's rules, then their learned merchant categories, then the
+// global (opt-in) merchant memory. Returns the first hit, or match: null.
+app.post('/match-rule', webhookAuthMiddleware, async (req, res) => {
+  try {
+    const { userId, counterparty, description, institution } = req.body || {};
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, share_merchant_categories')
+      .eq('external_id', userId)
+      .single();
+
+    if (userError || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const rules = await fetchUserRules(user.id);
+    const rule = findMatchingRule(rules, { counterparty, description, institution });
+
+    if (rule) {
+      return res.json({
+        match: { source: 'rule', ruleId: rule.id, category: rule.category, type: rule.type || null },
+      });
+    }
+
+    const learned = await findMerchantCategory(user, counterparty);
+
+    res.json({
+      match: learned ? { source: learned.source, ruleId: null, category: learned.category, type: null } : null,
+    });
+
+  } catch (error) {
+    console.error('❌ Rule match error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// EMAIL FORWARDING ENDPOINT (for Gmail verification)
+// ============================================
+
+app.post('/forward-verification', webhookAuthMiddleware, async (req, res) => {
+  // Immediate logging before anything else
+  console.log('📬 Forward-verification endpoint hit - START');
+  console.log('📬 Request body type:', typeof req.body);
+  console.log('📬 Request body:', JSON.stringify(req.body || {}).substring(0, 500));
+
+  try {
+    const { userId, subject, htmlBody, textBody, verificationLink } = req.body;
     console.log('📦 Request body:', { userId, subject: subject?.substring(0, 50), verificationLink: verificationLink?.substring(0, 50) });
 
-    if (!userId) {
-      console.log('❌ No userId provided');
-      return res.status(400).json({ error: 'userId is required' });
+    if (!userId) {
+      console.log('❌ No userId provided');
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    // Get user by external_id
+    console.log('🔍 Looking up user:', userId);
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('email, email_verified_at')
+      .eq('external_id', userId)
+      .single();
+
+    if (userError || !user) {
+      console.warn(`⚠️ No user found for verification: ${userId}`, userError);
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // An unconfirmed address could belong to someone else: they'd get the link
+    // that lets the registrant receive this Gmail account's mail
+    if (!user.email_verified_at) {
+      console.warn(`⚠️ Not forwarding verification to unverified email: ${userId}`);
+      return res.status(403).json({ error: 'Email not verified' });
+    }
+    console.log('✅ User found:', user.email);
+
+    if (!resend) {
+      console.error('❌ RESEND not configured');
+      return res.status(500).json({ error: 'Email service not configured' });
+    }
+    console.log('✅ Resend client configured');
+
+    // Forward the verification email to the user
+    console.log('📧 Sending email via Resend...');
+    const { data, error } = await resend.emails.send({
+      from: EMAIL_FROM,
+      to: user.email,
+      subject: subject || 'Gmail Forwarding Verification',
+      html: htmlBody || `
+        <h2>Gmail Forwarding Verification</h2>
+        <p>You requested to forward emails to your Jamty Finance account.</p>
+        ${verificationLink ? `<p><a href="${verificationLink}">Click here to confirm forwarding</a></p>` : ''}
+        <p>Or copy this link: ${verificationLink || 'N/A'}</p>
+      `,
+      text: textBody || `Gmail Forwarding Verification\n\nClick here to confirm: ${verificationLink || 'N/A'}`,
+    });
+
+    if (error) {
+      console.error('❌ Resend error:', JSON.stringify(error));
+      return res.status(500).json({ error: 'Failed to send email', details: error });
+    }
+
+    console.log(`📧 Verification email forwarded to ${user.email} (ID: ${data.id})`);
+    return res.json({ status: 'forwarded', emailId: data.id });
+
+  } catch (error) {
+    console.error('❌ Forward verification error:', error.message, error.stack);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// HEALTH CHECK
+// ============================================
+
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    version: '1.0.0',
+  });
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function formatUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    balance: parseFloat(user.balance),
+    forwardingEmail: `user_${user.external_id}@${EMAIL_DOMAIN}`,
+    emailVerified: Boolean(user.email_verified_at),
+    deletionScheduledFor: user.deletion_scheduled_for || null,
+    createdAt: user.created_at,
+  };
+}
+
+/**
+ * Normalize email address for consistent storage
+ * Handles formats like "Name <email@domain.com>" or just "email@domain.com"
+ */
+function normalizeEmail(email) {
+  if (!email) return null;
+  const normalized = email.toLowerCase().trim();
+  // Extract email from "Name <email@domain.com>" format if present
+  const match = normalized.match(/<([^>]+)>/);
+  return match ? match[1].trim() : normalized;
+}
+
+/**
+ * Normalize a CUIT/CUIL to XX-XXXXXXXX-X (null if it isn't 11 digits)
+ */
+function normalizeCuit(cuit) {
+  const digits = String(cuit || '').replace(/\D/g, '');
+  return digits.length === 11 ? `${digits.slice(0, 2)}-${digits.slice(2, 10)}-${digits.slice(10)}` : null;
+}
+
+/**
+ * Normalize a CBU/CVU to its 22 digits (null if it isn't one)
+ */
+function normalizeCbu(cbu) {
+  const digits = String(cbu || '').replace(/[\s-]/g, '');
+  return /^\d{22}$/.test(digits) ? digits : null;
+}
+
+// ============================================
+// SESSION HELPERS
+// ============================================
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Refresh tokens are stored as their SHA-256 (hex) only
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function sessionExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000).toISOString();
+}
+
+// Informational only (shown in the sessions list), so the first forwarded hop is fine
+function clientIp(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return (forwarded || req.ip || '').slice(0, 45) || null;
+}
+
+/**
+ * Start a session for a user who just proved who they are (register, login).
+ * Returns { session, refreshToken }; only the token's hash is stored.
+ */
+async function createSession(userId, req) {
+  const refreshToken = generateToken();
+
+  // Expired sessions aren't listed or usable anymore
+  await supabase
+    .from('user_sessions')
+    .delete()
+    .eq('user_id', userId)
+    .lt('expires_at', new Date().toISOString());
+
+  const { data: session, error } = await supabase
+    .from('user_sessions')
+    .insert({
+      user_id: userId,
+      refresh_token_hash: hashToken(refreshToken),
+      user_agent: String(req.headers['user-agent'] || '').slice(0, 255) || null,
+      ip_address: clientIp(req),
+      expires_at: sessionExpiry(),
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return { session, refreshToken };
+}
+
+/**
+ * Auth response fields: { token, expiresAt, refreshToken }
+ */
+function issueTokens(user, session, refreshToken) {
+  const token = jwt.sign({ userId: user.id, sessionId: session.id }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+
+  return {
+    token,
+    expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+    refreshToken,
+  };
+}
+
+/**
+ * Revoke one session (sessionId) or all of a user's active sessions,
+ * optionally keeping one (exceptSessionId). Returns how many were revoked.
+ */
+async function revokeUserSessions(userId, { sessionId = null, exceptSessionId = null, reason }) {
+  let query = supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (sessionId) query = query.eq('id', sessionId);
+  if (exceptSessionId) query = query.neq('id', exceptSessionId);
+
+  const { data: revoked, error } = await query.select('id');
+
+  if (error) throw error;
+
+  return revoked.length;
+}
+
+function formatSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    createdAt: session.created_at,
+    lastUsedAt: session.last_used_at,
+    expiresAt: session.expires_at,
+    current: session.id === currentSessionId,
+  };
+}
+
+// ============================================
+// AUTH EMAIL HELPERS
+// ============================================
+
+const AUTH_EMAILS = {
+  email_verification: {
+    path: '/verify-email',
+    subject: 'Confirm your email',
+    action: 'confirm your email address',
+    button: 'Confirm email',
+    ignore: "If you didn't create a Jamty Finance account, ignore this email.",
+  },
+  password_reset: {
+    path: '/reset-password',
+    subject: 'Reset your password',
+    action: 'choose a new password',
+    button: 'Reset password',
+    ignore: "If you didn't ask for a reset, ignore this email - your password stays the same.",
+  },
+};
+
+/**
+ * Email a verification or password reset link to the user's current address.
+ * Returns false (nothing sent) when the hourly limit for that purpose is reached.
+ */
+async function sendAuthEmail(user, purpose) {
+  if (!resend) {
+    throw new Error('Email service not configured');
+  }
+
+  const since = new Date(Date.now() - 3600000).toISOString();
+  const { count, error: countError } = await supabase
+    .from('auth_tokens')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', user.id)
+    .eq('purpose', purpose)
+    .gte('created_at', since);
+
+  if (countError) throw countError;
+  if (count >= AUTH_EMAILS_PER_HOUR) return false;
+
+  // Expired tokens can't be used anymore and are past the hourly window
+  await supabase
+    .from('auth_tokens')
+    .delete()
+    .eq('user_id', user.id)
+    .lt('expires_at', new Date().toISOString());
+
+  const token = generateToken();
+  const ttlMinutes = AUTH_TOKEN_TTL_MINUTES[purpose];
+  const { error } = await supabase
+    .from('auth_tokens')
+    .insert({
+      user_id: user.id,
+      purpose,
+      token_hash: hashToken(token),
+      email: user.email,
+      expires_at: new Date(Date.now() + ttlMinutes * 60000).toISOString(),
+    });
+
+  if (error) throw error;
+
+  const content = AUTH_EMAILS[purpose];
+  const link = `${APP_URL}${content.path}?token=${token}`;
+  const validFor = ttlMinutes >= 120 ? `${ttlMinutes / 60} hours` : `${ttlMinutes} minutes`;
+
+  const { error: sendError } = await resend.emails.send({
+    from: EMAIL_FROM,
+    to: user.email,
+    subject: content.subject,
+    html: `
+      <h2>${content.subject}</h2>
+      <p>Use this link to ${content.action}. It works once, for the next ${validFor}.</p>
+      <p><a href="${link}">${content.button}</a></p>
+      <p>Or copy this link: ${link}</p>
+      <p>${content.ignore}</p>
+    `,
+    text: `${content.subject}\n\nUse this link to ${content.action}. It works once, for the next ${validFor}:\n${link}\n\n${content.ignore}`,
+  });
+
+  if (sendError) {
+    throw new Error(`Resend error: ${JSON.stringify(sendError)}`);
+  }
+
+  console.log(`📧 ${purpose} link sent to ${user.email}`);
+  return true;
+}
+
+/**
+ * Mark an unused, unexpired token as used. Returns its row, or null when the
+ * token is unknown, expired or already used (one statement, so it's single-use
+ * even with concurrent requests).
+ */
+async function consumeAuthToken(token, purpose) {
+  const now = new Date().toISOString();
+  const { data: record } = await supabase
+    .from('auth_tokens')
+    .update({ used_at: now })
+    .eq('token_hash', hashToken(token))
+    .eq('purpose', purpose)
+    .is('used_at', null)
+    .gt('expires_at', now)
+    .select()
+    .single();
+
+  return record || null;
+}
+
+// ============================================
+// TRANSACTION NORMALIZATION MAPPINGS
+// ============================================
+
+const TRANSACTION_TYPE_CONFIG = {
+  // Money IN (+)
+  transfer_received: {
+    label: 'Transfer Received',
+    direction: 'in',
+    icon: 'arrow-down-left',
+    color: 'green'
+  },
+  payment_received: {
+    label: 'Payment Received',
+    direction: 'in',
+    icon: 'wallet',
+    color: 'green'
+  },
+  deposit: {
+    label: 'Deposit',
+    direction: 'in',
+    icon: 'plus-circle',
+    color: 'green'
+  },
+  refund_received: {
+    label: 'Refund Received',
+    direction: 'in',
+    icon: 'refresh-cw',
+    color: 'green'
+  },
+  // Money OUT (-)
+  transfer_sent: {
+    label: 'Transfer Sent',
+    direction: 'out',
+    icon: 'arrow-up-right',
+    color: 'red'
+  },
+  payment_sent: {
+    label: 'Payment Sent',
+    direction: 'out',
+    icon: 'credit-card',
+    color: 'red'
+  },
+  withdrawal: {
+    label: 'Withdrawal',
+    direction: 'out',
+    icon: 'minus-circle',
+    color: 'red'
+  },
+  refund_sent: {
+    label: 'Refund Sent',
+    direction: 'out',
+    icon: 'refresh-cw',
+    color: 'red'
+  },
+  // Unknown
+  unknown: {
+    label: 'Transaction',
+    direction: 'unknown',
+    icon: 'help-circle',
+    color: 'gray'
+  }
+};
+
+const CATEGORY_LABELS = {
+  'utilities-bills': { label: 'Utilities & Bills', icon: 'zap' },
+  'food-dining': { label: 'Food & Dining', icon: 'utensils' },
+  'transportation': { label: 'Transportation', icon: 'car' },
+  'shopping-clothing': { label: 'Shopping & Clothing', icon: 'shopping-bag' },
+  'health-wellness': { label: 'Health & Wellness', icon: 'heart' },
+  'recreation-entertainment': { label: 'Recreation & Entertainment', icon: 'film' },
+  'financial-obligations': { label: 'Financial Obligations', icon: 'landmark' },
+  'savings-investments': { label: 'Savings & Investments', icon: 'trending-up' },
+  'miscellaneous-other': { label: 'Miscellaneous / Other', icon: 'more-horizontal' }
+};
+
+function formatTransaction(tx) {
+  const typeConfig = TRANSACTION_TYPE_CONFIG[tx.type] || TRANSACTION_TYPE_CONFIG.unknown;
+  const categoryConfig = tx.category ? CATEGORY_LABELS[tx.category] : null;
+
+  return {
+    // Original fields
+    id: tx.id,
+    type: tx.type,
+    amount: parseFloat(tx.amount),
+    currency: tx.currency,
+    counterparty: tx.counterparty,
+    description: tx.description,
+    referenceId: tx.reference_id,
+    counterpartyCuit: tx.counterparty_cuit || null,
+    counterpartyCbu: tx.counterparty_cbu || null,
+    category: tx.category || null,
+    institution: tx.institution || 'mercadopago',
+    accountId: tx.account_id || null,
+    internalTransferId: tx.internal_transfer_id || null,
+    source: tx.source || 'email',
+    receivedAt: tx.received_at,
+    createdAt: tx.created_at,
+
+    // Normalized display fields
+    displayLabel: typeConfig.label,
+    direction: typeConfig.direction,
+    isExpense: typeConfig.direction === 'out',
+    isIncome: typeConfig.direction === 'in',
+    iconType: typeConfig.icon,
+    colorHint: typeConfig.color,
+
+    // Formatted amount with sign and currency symbol
+    displayAmount: `${typeConfig.direction === 'out' ? '-' : '+'}${CURRENCY_SYMBOLS[tx.currency] || '$'}${parseFloat(tx.amount).toLocaleString('es-AR')}`,
+
+    // Category normalization
+    categoryLabel: categoryConfig?.label || null,
+    categoryIcon: categoryConfig?.icon || null,
+  };
+}
+
+function calculateBalanceChange(type, amount) {
+  const incomeTypes = ['transfer_received', 'payment_received', 'deposit', 'refund_received'];
+  const expenseTypes = ['transfer_sent', 'payment_sent', 'withdrawal', 'refund_sent'];
+
+  if (incomeTypes.includes(type)) return amount;
+  if (expenseTypes.includes(type)) return -amount;
+  return 0;
+}
+
+/**
+ * Apply GET /api/transactions query filters to a Supabase query
+ * Supported: type, category, institution, accountId, direction (in/out), from/to (received_at),
+ * minAmount/maxAmount, q (search over counterparty and description)
+ * Returns { query } or { error } with a message for the client
+ */
+function applyTransactionFilters(query, params) {
+  const { type, category, institution, accountId, direction, from, to, minAmount, maxAmount, q } = params;
+
+  if (type) {
+    if (!TRANSACTION_TYPE_CONFIG[type]) {
+      return { error: `Invalid type. Valid types: ${Object.keys(TRANSACTION_TYPE_CONFIG).join(', ')}` };
+    }
+    query = query.eq('type', type);
+  }
+
+  if (category) {
+    if (!CATEGORY_LABELS[category]) {
+      return { error: `Invalid category. Valid categories: ${Object.keys(CATEGORY_LABELS).join(', ')}` };
+    }
+    query = query.eq('category', category);
+  }
+
+  if (institution) {
+    query = query.eq('institution', institution);
+  }
+
+  if (accountId) {
+    if (!UUID_PATTERN.test(accountId)) {
+      return { error: 'accountId must be an account id' };
+    }
+    query = query.eq('account_id', accountId);
+  }
+
+  if (direction) {
+    if (!['in', 'out'].includes(direction)) {
+      return { error: 'direction must be "in" or "out"' };
+    }
+    const types = Object.entries(TRANSACTION_TYPE_CONFIG)
+      .filter(([, config]) => config.direction === direction)
+      .map(([id]) => id);
+    query = query.in('type', types);
+  }
+
+  if (from) {
+    const date = new Date(from);
+    if (isNaN(date.getTime())) return { error: 'from must be a valid date' };
+    query = query.gte('received_at', date.toISOString());
+  }
+
+  if (to) {
+    const date = new Date(to);
+    if (isNaN(date.getTime())) return { error: 'to must be a valid date' };
+    // A plain date ("2024-03-31") includes that whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      query = query.lt('received_at', date.toISOString());
+    } else {
+      query = query.lte('received_at', date.toISOString());
+    }
+  }
+
+  if (minAmount !== undefined) {
+    const amount = parseFloat(minAmount);
+    if (isNaN(amount)) return { error: 'minAmount must be a number' };
+    query = query.gte('amount', amount);
+  }
+
+  if (maxAmount !== undefined) {
+    const amount = parseFloat(maxAmount);
+    if (isNaN(amount)) return { error: 'maxAmount must be a number' };
+    query = query.lte('amount', amount);
+  }
+
+  if (q) {
+    // Strip LIKE wildcards and what could end the quoted value; inside the
+    // quotes, commas, dots and parentheses are plain text to PostgREST
+    const term = String(q).replace(/[*%_"\\]/g, ' ').trim();
+    if (term) {
+      query = query.or(`counterparty.ilike."%${term}%",description.ilike."%${term}%"`);
+    }
+  }
+
+  return { query };
+}
+
+function encodeCursor(tx) {
+  return Buffer.from(JSON.stringify({ createdAt: tx.created_at, id: tx.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    // Both go into a PostgREST filter string: only exact timestamps (as
+    // Postgres returns them, microseconds included) and UUIDs
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/.test(position.createdAt)) return null;
+    if (isNaN(new Date(position.createdAt).getTime())) return null;
+    if (!UUID_PATTERN.test(position.id)) return null;
+    return position;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Per-currency balances → [{ currency, balance }], ARS first
+ */
+async function getUserBalances(user) {
+  const { data: rows, error } = await supabase
+    .from('user_balances')
+    .select('currency, balance')
+    .eq('user_id', user.id);
+
+  if (error) throw error;
+
+  const balances = (rows || []).map(row => ({ currency: row.currency, balance: parseFloat(row.balance) }));
+  if (!balances.some(b => b.currency === 'ARS')) {
+    balances.push({ currency: 'ARS', balance: parseFloat(user.balance) || 0 });
+  }
+
+  return balances.sort((a, b) => (a.currency === 'ARS' ? -1 : b.currency === 'ARS' ? 1 : a.currency.localeCompare(b.currency)));
+}
+
+/**
+ * Latest rate per currency for a rate type → { USD: { rate, date } }
+ */
+async function getLatestExchangeRates(rateType) {
+  const { data: rows, error } = await supabase
+    .from('exchange_rates')
+    .select('currency, rate, rate_date')
+    .eq('rate_type', rateType)
+    .order('rate_date', { ascending: false })
+    .limit(100);
+
+  if (error) throw error;
+
+  const rates = {};
+  for (const row of rows || []) {
+    if (!rates[row.currency]) {
+      rates[row.currency] = { rate: parseFloat(row.rate), date: row.rate_date };
+    }
+  }
+  return rates;
+}
+
+/**
+ * Convert an amount to ARS; null when there's no rate loaded for the currency
+ */
+function convertToARS(amount, currency, rates) {
+  if (!currency || currency === 'ARS') return amount;
+  return rates[currency] ? Math.round(amount * rates[currency].rate * 100) / 100 : null;
+}
+
+/**
+ * Sum [amount, currency] pairs in ARS, skipping currencies without a rate
+ */
+function sumConvertedToARS(pairs, rates) {
+  return pairs.reduce((total, [amount, currency]) => total + (convertToARS(amount, currency, rates) || 0), 0);
+}
+
+/**
+ * Validate user-editable transaction fields (camelCase body → DB columns)
+ * Returns { updates } or { error } with a message for the client
+ */
+function validateTransactionFields(body) {
+  const updates = {};
+
+  if (body.type !== undefined) {
+    if (!TRANSACTION_TYPE_CONFIG[body.type]) {
+      return { error: `Invalid type. Valid types: ${Object.keys(TRANSACTION_TYPE_CONFIG).join(', ')}` };
+    }
+    updates.type = body.type;
+  }
+
+  if (body.category !== undefined) {
+    if (body.category !== null && !CATEGORY_LABELS[body.category]) {
+      return { error: `Invalid category. Valid categories: ${Object.keys(CATEGORY_LABELS).join(', ')}` };
+    }
+    updates.category = body.category;
+  }
+
+  if (body.amount !== undefined) {
+    const amount = parseFloat(body.amount);
+    if (isNaN(amount) || amount <= 0) {
+      return { error: 'Amount must be a positive number' };
+    }
+    updates.amount = Math.round(amount * 100) / 100;
+  }
+
+  for (const field of ['counterparty', 'description']) {
+    if (body[field] !== undefined) {
+      if (body[field] !== null && typeof body[field] !== 'string') {
+        return { error: `${field} must be a string or null` };
+      }
+      updates[field] = body[field] ? body[field].trim() : null;
+    }
+  }
+
+  return { updates };
+}
+
+/**
+ * Insert a transaction parsed from an email (webhook payload shape) and run
+ * the post-insert checks. Shared by the webhook and the parsing failure review.
+ * Returns { transaction, balanceChange }
+ */
+async function createEmailTransaction(user, data) {
+  const institution = data.institution || 'mercadopago'; // Default for backwards compatibility
+  const currency = data.currency || 'ARS';
+
+  // An unresolved account must never lose the transaction
+  let account = null;
+  try {
+    account = await resolveTransactionAccount(user, { institution, currency, last4: data.accountLast4 });
+  } catch (accountError) {
+    console.error('⚠️ Could not resolve account:', accountError);
+  }
+
+  const { data: transaction, error } = await supabase
+    .from('transactions')
+    .insert({
+      user_id: user.id,
+      type: data.type,
+      amount: data.amount,
+      currency,
+      counterparty: data.counterparty,
+      description: data.description,
+      reference_id: data.referenceId,
+      counterparty_cuit: normalizeCuit(data.counterpartyCuit),
+      counterparty_cbu: normalizeCbu(data.counterpartyCbu),
+      email_hash: data.emailHash || null,
+      email_archive_key: data.archiveKey || null,
+      category: data.category || null,
+      institution,
+      account_id: account?.id || null,
+      source: 'email',
+      email_subject: data.subject,
+      email_from: normalizeEmail(data.from),
+      received_at: data.receivedAt || new Date().toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  // Balance was updated atomically with the insert (transactions_apply_balance trigger)
+  const balanceChange = calculateBalanceChange(data.type, data.amount);
+
+  // The other half of a transfer between the user's own accounts may already be here
+  let internalTransfer = null;
+  try {
+    [internalTransfer = null] = await detectInternalTransfers(user, { transaction });
+  } catch (pairError) {
+    console.error('⚠️ Internal transfer detection failed:', pairError);
+  }
+
+  // Budget alerts must never fail the insert (and internal transfers aren't spending)
+  if (!internalTransfer) {
+    try {
+      await checkBudgetAlerts(user, transaction);
+    } catch (alertError) {
+      console.error('⚠️ Budget alert check failed:', alertError);
+    }
+  }
+
+  return { transaction, balanceChange };
+}
+
+function formatParsingFailure(failure) {
+  return {
+    id: failure.id,
+    reason: failure.reason,
+    subject: failure.email_subject,
+    from: failure.email_from,
+    institution: failure.raw_data?.institution || null,
+    bodyPreview: failure.body_preview,
+    rawData: failure.raw_data,
+    resolved: failure.resolved,
+    resolvedAt: failure.resolved_at || null,
+    transactionId: failure.transaction_id || null,
+    createdAt: failure.created_at,
+  };
+}
+
+async function logParsingFailure(data) {
+  try {
+    await supabase.from('parsing_failures').insert({
+      user_id: data.userId || null,
+      reason: data.reason || 'unknown',
+      email_subject: data.subject || null,
+      email_from: normalizeEmail(data.from),
+      body_preview: data.bodyPreview || null,
+      archive_key: data.archiveKey || null,
+      raw_data: data,
+    });
+  } catch (error) {
+    console.error('Failed to log parsing failure:', error);
+  }
+}
+
+// ============================================
+// ACCOUNT HELPERS
+// ============================================
+
+function formatAccount(account) {
+  return {
+    id: account.id,
+    institution: account.institution,
+    alias: account.alias,
+    last4: account.last4,
+    currency: account.currency,
+    openingBalance: parseFloat(account.opening_balance),
+    balance: parseFloat(account.balance),
+    createdAt: account.created_at,
+  };
+}
+
+/**
+ * Validate account fields (camelCase body → DB columns)
+ * Returns { updates } or { error } with a message for the client
+ */
+function validateAccountFields(body) {
+  const updates = {};
+
+  if (body.institution !== undefined) {
+    if (typeof body.institution !== 'string' || !/^[a-z0-9_-]{1,50}$/i.test(body.institution.trim())) {
+      return { error: 'institution must be an id like "galicia" (letters, digits, - or _)' };
+    }
+    updates.institution = body.institution.trim().toLowerCase();
+  }
+
+  if (body.alias !== undefined) {
+    if (body.alias !== null && typeof body.alias !== 'string') {
+      return { error: 'alias must be a string or null' };
+    }
+    updates.alias = body.alias ? body.alias.trim().slice(0, 100) : null;
+  }
+
+  if (body.last4 !== undefined) {
+    if (body.last4 !== null && !/^\d{4}$/.test(String(body.last4))) {
+      return { error: 'last4 must be 4 digits or null' };
+    }
+    updates.last4 = body.last4 === null ? null : String(body.last4);
+  }
+
+  if (body.openingBalance !== undefined) {
+    const openingBalance = parseFloat(body.openingBalance);
+    if (isNaN(openingBalance)) {
+      return { error: 'openingBalance must be a number' };
+    }
+    updates.opening_balance = Math.round(openingBalance * 100) / 100;
+  }
+
+  return { updates };
+}
+
+/**
+ * A user's accounts, optionally only one institution + currency
+ */
+async function fetchUserAccounts(userId, { institution, currency } = {}) {
+  let query = supabase
+    .from('accounts')
+    .select('*')
+    .eq('user_id', userId)
+    .order('institution')
+    .order('currency')
+    .order('created_at');
+
+  if (institution) query = query.eq('institution', institution);
+  if (currency) query = query.eq('currency', currency);
+
+  const { data: accounts, error } = await query;
+  if (error) throw error;
+  return accounts || [];
+}
+
+async function fetchUserAccount(userId, accountId) {
+  const { data: account } = await supabase
+    .from('accounts')
+    .select('*')
+    .eq('id', accountId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  return account || null;
+}
+
+/**
+ * Pick the account for a transaction among the user's accounts with the same
+ * institution and currency: the one with matching last 4 digits, else the
+ * only one, else the one without digits. null = a new account is needed.
+ */
+function pickTransactionAccount(accounts, last4) {
+  if (last4) {
+    const exact = accounts.find(account => account.last4 === last4);
+    if (exact) return exact;
+  } else if (accounts.length === 1) {
+    return accounts[0];
+  }
+  return accounts.find(account => !account.last4) || null;
+}
+
+/**
+ * Account for a new transaction ({ institution, currency, last4 hint }),
+ * created on first use so every institution gets its own balance
+ */
+async function resolveTransactionAccount(user, { institution, currency, last4 = null }) {
+  const hint = /^\d{4}$/.test(last4 || '') ? last4 : null;
+
+  const existing = pickTransactionAccount(await fetchUserAccounts(user.id, { institution, currency }), hint);
+  if (existing) return existing;
+
+  const { data: account, error } = await supabase
+    .from('accounts')
+    .insert({ user_id: user.id, institution, currency, last4: hint })
+    .select()
+    .single();
+
+  // Created concurrently by another transaction of the same user
+  if (error?.code === '23505') {
+    return pickTransactionAccount(await fetchUserAccounts(user.id, { institution, currency }), hint);
+  }
+  if (error) throw error;
+
+  console.log(`🏦 Account created: ${user.email} - ${institution} ${currency}${hint ? ` (${hint})` : ''}`);
+  return account;
+}
+
+// ============================================
+// INTERNAL TRANSFER HELPERS
+// ============================================
+
+// Words in a name that don't identify anyone ("María de la Paz")
+const NAME_PARTICLES = new Set(['de', 'del', 'la', 'las', 'los', 'y', 'e']);
+
+/**
+ * Shared by confirm/unlink: set the status of one of the user's pairs
+ */
+async function updateInternalTransferStatus(req, res, status) {
+  try {
+    const { data: pair, error } = await supabase
+      .from('internal_transfers')
+      .update({ status })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select()
+      .maybeSingle();
+
+    // Re-confirming an unlinked pair whose transaction was paired again since
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'One of the transactions is already in another internal transfer' });
+    }
+    if (error) throw error;
+
+    if (!pair) {
+      return res.status(404).json({ error: 'Internal transfer not found' });
+    }
+
+    const [transfer] = await formatInternalTransfers(req.user.id, [pair]);
+    res.json({ transfer });
+
+  } catch (error) {
+    console.error(`Error setting internal transfer ${status}:`, error);
+    res.status(500).json({ error: 'Failed to update internal transfer' });
+  }
+}
+
+/**
+ * Pairs with both transactions formatted (one query for all of them)
+ */
+async function formatInternalTransfers(userId, pairs) {
+  const ids = pairs.flatMap(pair => [pair.sent_transaction_id, pair.received_transaction_id]);
+  const byId = {};
+
+  if (ids.length > 0) {
+    const { data: transactions, error } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('user_id', userId)
+      .in('id', ids);
+
+    if (error) throw error;
+    for (const tx of transactions || []) byId[tx.id] = tx;
+  }
+
+  return pairs.map(pair => {
+    const sent = byId[pair.sent_transaction_id];
+    const received = byId[pair.received_transaction_id];
+    return {
+      id: pair.id,
+      status: pair.status,
+      amount: sent ? parseFloat(sent.amount) : null,
+      currency: sent?.currency || null,
+      sent: sent ? formatTransaction(sent) : null,
+      received: received ? formatTransaction(received) : null,
+      createdAt: pair.created_at,
+    };
+  });
+}
+
+function ownNameTokens(name) {
+  return (normalizeMerchant(name) || '')
+    .split(' ')
+    .filter(token => token.length >= 2 && !NAME_PARTICLES.has(token));
+}
+
+/**
+ * Does the counterparty name the user? Two of their name words ("PEREZ JUAN C"
+ * for Juan Pérez), or the only one. null when there's no counterparty.
+ */
+function isOwnName(nameTokens, counterparty) {
+  const tokens = (normalizeMerchant(counterparty) || '').split(' ').filter(Boolean);
+  if (tokens.length === 0) return null;
+
+  const matched = nameTokens.filter(token => tokens.includes(token)).length;
+  return matched >= Math.min(2, nameTokens.length);
+}
+
+/**
+ * Unpaired transfer candidates (either direction) in an optional received_at range
+ */
+async function fetchTransferCandidates(userId, { from, to } = {}) {
+  const transactions = [];
+
+  for (let offset = 0; ; offset += SCAN_BATCH_SIZE) {
+    let query = supabase
+      .from('transactions')
+      .select('id, type, amount, currency, institution, counterparty, received_at, created_at')
+      .eq('user_id', userId)
+      .in('type', [...INTERNAL_TRANSFER_TYPES.sent, ...INTERNAL_TRANSFER_TYPES.received])
+      .is('internal_transfer_id', null);
+
+    if (from) query = query.gte('received_at', from);
+    if (to) query = query.lte('received_at', to);
+
+    const { data: rows, error } = await query
+      .order('id')
+      .range(offset, offset + SCAN_BATCH_SIZE - 1);
+
+    if (error) throw error;
+
+    transactions.push(...rows);
+    if (rows.length < SCAN_BATCH_SIZE) break;
+  }
+
+  return transactions;
+}
+
+/**
+ * Match sent and received transfers: same amount and currency, different
+ * institutions, at most INTERNAL_TRANSFER_WINDOW_HOURS apart, and the user's
+ * own name on at least one side (and nobody else's on the other).
+ * Closest pairs first, each transaction used once. skip = "sentId:receivedId" keys.
+ */
+function pairInternalTransfers(transactions, nameTokens, skip) {
+  const windowMs = INTERNAL_TRANSFER_WINDOW_HOURS * 3600 * 1000;
+  const received = {};
+
+  for (const tx of transactions) {
+    if (!INTERNAL_TRANSFER_TYPES.received.includes(tx.type)) continue;
+    const key = `${tx.currency || 'ARS'}:${parseFloat(tx.amount)}`;
+    (received[key] = received[key] || []).push(tx);
+  }
+
+  const candidates = [];
+  for (const sent of transactions) {
+    if (!INTERNAL_TRANSFER_TYPES.sent.includes(sent.type)) continue;
+
+    const sentOwn = isOwnName(nameTokens, sent.counterparty);
+    if (sentOwn === false) continue;
+    const sentAt = new Date(sent.received_at || sent.created_at).getTime();
+
+    for (const tx of received[`${sent.currency || 'ARS'}:${parseFloat(sent.amount)}`] || []) {
+      const receivedOwn = isOwnName(nameTokens, tx.counterparty);
+      const gap = Math.abs(new Date(tx.received_at || tx.created_at).getTime() - sentAt);
+
+      if ((tx.institution || 'mercadopago') !== (sent.institution || 'mercadopago') &&
+          gap <= windowMs &&
+          receivedOwn !== false && (sentOwn || receivedOwn) &&
+          !skip.has(`${sent.id}:${tx.id}`)) {
+        candidates.push({ sent, received: tx, gap });
+      }
+    }
+  }
+
+  const used = new Set();
+  const pairs = [];
+  for (const candidate of candidates.sort((a, b) => a.gap - b.gap)) {
+    if (used.has(candidate.sent.id) || used.has(candidate.received.id)) continue;
+    used.add(candidate.sent.id);
+    used.add(candidate.received.id);
+    pairs.push(candidate);
+  }
+  return pairs;
+}
+
+/**
+ * Find and store new internal transfer pairs. With { transaction }, only pairs
+ * for that (just inserted) transaction; otherwise all in the from/to range.
+ * Returns the inserted internal_transfers rows.
+ */
+async function detectInternalTransfers(user, { transaction, from, to } = {}) {
+  const nameTokens = ownNameTokens(user.name);
+  if (nameTokens.length === 0) return [];
+
+  if (transaction) {
+    const types = [...INTERNAL_TRANSFER_TYPES.sent, ...INTERNAL_TRANSFER_TYPES.received];
+    if (!types.includes(transaction.type)) return [];
+
+    const at = new Date(transaction.received_at || transaction.created_at).getTime();
+    const windowMs = INTERNAL_TRANSFER_WINDOW_HOURS * 3600 * 1000;
+    from = new Date(at - windowMs).toISOString();
+    to = new Date(at + windowMs).toISOString();
+  }
+
+  const transactions = await fetchTransferCandidates(user.id, { from, to });
+
+  const { data: unlinked, error: unlinkedError } = await supabase
+    .from('internal_transfers')
+    .select('sent_transaction_id, received_transaction_id')
+    .eq('user_id', user.id)
+    .eq('status', 'unlinked');
+
+  if (unlinkedError) throw unlinkedError;
+
+  const skip = new Set((unlinked || []).map(pair => `${pair.sent_transaction_id}:${pair.received_transaction_id}`));
+  const pairs = pairInternalTransfers(transactions, nameTokens, skip)
+    .filter(pair => !transaction || pair.sent.id === transaction.id || pair.received.id === transaction.id);
+
+  const inserted = [];
+  for (const pair of pairs) {
+    // The trigger marks both transactions (internal_transfer_id)
+    const { data: row, error } = await supabase
+      .from('internal_transfers')
+      .insert({
+        user_id: user.id,
+        sent_transaction_id: pair.sent.id,
+        received_transaction_id: pair.received.id,
+      })
+      .select()
+      .single();
+
+    // Paired concurrently (another webhook or detect run)
+    if (error?.code === '23505') continue;
+    if (error) throw error;
+
+    console.log(`🔁 Internal transfer: ${pair.sent.institution} → ${pair.received.institution} $${pair.sent.amount}`);
+    inserted.push(row);
+  }
+
+  return inserted;
+}
+
+// ============================================
+// ANALYTICS HELPERS
+// ============================================
+
+/**
+ * Resolve analytics query params into { type, start, end } dates (YYYY-MM-DD, end exclusive)
+ */
+function resolveAnalyticsPeriod(params) {
+  const type = params.period || 'month';
+  const today = reportToday();
+
+  if (type === 'month') {
+    const month = params.month || today.slice(0, 7);
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return { error: 'month must be formatted as YYYY-MM' };
+    }
+    const start = `${month}-01`;
+    return { type, start, end: addMonths(start, 1) };
+  }
+
+  if (type === 'quarter') {
+    const currentQuarter = `${today.slice(0, 4)}-Q${Math.floor((parseInt(today.slice(5, 7)) - 1) / 3) + 1}`;
+    const match = (params.quarter || currentQuarter).toUpperCase().match(/^(\d{4})-Q([1-4])$/);
+    if (!match) {
+      return { error: 'quarter must be formatted as YYYY-Q1..Q4' };
+    }
+    const firstMonth = String((parseInt(match[2]) - 1) * 3 + 1).padStart(2, '0');
+    const start = `${match[1]}-${firstMonth}-01`;
+    return { type, start, end: addMonths(start, 3) };
+  }
+
+  if (type === 'custom') {
+    const { from, to } = params;
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+    if (!isDate(from) || !isDate(to)) {
+      return { error: 'from and to are required as YYYY-MM-DD for a custom period' };
+    }
+    if (from > to) {
+      return { error: 'from must be before to' };
+    }
+    if (daysBetween(from, to) > 731) {
+      return { error: 'Custom periods are limited to 2 years' };
+    }
+    return { type, start: from, end: addDays(to, 1) };
+  }
+
+  return { error: 'period must be "month", "quarter" or "custom"' };
+}
+
+/**
+ * Comparison period: the one right before ("previous") or the same one a year earlier ("year")
+ */
+function shiftAnalyticsPeriod(period, compare) {
+  if (compare === 'year') {
+    return { type: period.type, start: addMonths(period.start, -12), end: addMonths(period.end, -12) };
+  }
+  if (period.type === 'month') {
+    return { type: period.type, start: addMonths(period.start, -1), end: period.start };
+  }
+  if (period.type === 'quarter') {
+    return { type: period.type, start: addMonths(period.start, -3), end: period.start };
+  }
+  const length = daysBetween(period.start, period.end);
+  return { type: period.type, start: addDays(period.start, -length), end: period.start };
+}
+
+/**
+ * Run the get_transaction_analytics database function and decorate the result.
+ * Amounts are in ARS; other currencies are converted with the latest rate of
+ * rateType and also totalled natively in byCurrency.
+ */
+async function fetchPeriodAnalytics(userId, period, granularity, rateType = DEFAULT_RATE_TYPE) {
+  const { data, error } = await supabase.rpc('get_transaction_analytics', {
+    p_user_id: userId,
+    p_from: reportTimestamp(period.start),
+    p_to: reportTimestamp(period.end),
+    p_granularity: granularity,
+    p_timezone: REPORT_TIMEZONE,
+    p_rate_type: rateType,
+  });
+
+  if (error) throw error;
+
+  const income = parseFloat(data.totals.income);
+  const expenses = parseFloat(data.totals.expenses);
+  const withFlow = row => ({
+    ...row,
+    income: parseFloat(row.income),
+    expenses: parseFloat(row.expenses),
+    netFlow: parseFloat(row.income) - parseFloat(row.expenses),
+  });
+
+  return {
+    period: {
+      type: period.type,
+      from: period.start,
+      to: addDays(period.end, -1),
+      granularity,
+    },
+    totals: {
+      income,
+      expenses,
+      netFlow: income - expenses,
+      transactionCount: data.totals.count,
+    },
+    byCategory: data.byCategory.map(row => ({
+      ...withFlow(row),
+      categoryLabel: row.category ? CATEGORY_LABELS[row.category]?.label || null : null,
+      categoryIcon: row.category ? CATEGORY_LABELS[row.category]?.icon || null : null,
+      shareOfExpenses: expenses > 0 ? parseFloat(row.expenses) / expenses : 0,
+    })),
+    byInstitution: data.byInstitution.map(withFlow),
+    byCounterparty: data.byCounterparty.map(withFlow),
+    series: data.series.map(withFlow),
+    byCurrency: data.byCurrency.map(withFlow),
+    // Currencies without a rate: only counted in byCurrency
+    missingRates: data.missingRates,
+  };
+}
+
+function describeChange(current, previous) {
+  return {
+    amount: current - previous,
+    percent: previous !== 0 ? ((current - previous) / Math.abs(previous)) * 100 : null,
+  };
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function addMonths(date, months) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(start, end) {
+  return Math.round((new Date(`${end}T00:00:00Z`) - new Date(`${start}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in the reporting timezone
+ */
+function reportToday() {
+  return reportDate(new Date());
+}
+
+/**
+ * Date (YYYY-MM-DD) of a timestamp in the reporting timezone
+ */
+function reportDate(timestamp) {
+  return new Date(new Date(timestamp).getTime() + parseUtcOffsetMinutes(REPORT_UTC_OFFSET) * 60000)
+    .toISOString().slice(0, 10);
+}
+
+/**
+ * Convert a YYYY-MM-DD date to the timestamp of its start in the reporting timezone
+ */
+function reportTimestamp(date) {
+  return `${date}T00:00:00${REPORT_UTC_OFFSET}`;
+}
+
+function parseUtcOffsetMinutes(offset) {
+  const [, sign, hours, minutes] = offset.match(/^([+-])(\d{2}):(\d{2})$/);
+  return (sign === '-' ? -1 : 1) * (parseInt(hours) * 60 + parseInt(minutes));
+}
+
+// ============================================
+// BUDGET HELPERS
+// ============================================
+
+function formatBudget(budget) {
+  const categoryConfig = CATEGORY_LABELS[budget.category];
+  return {
+    id: budget.id,
+    category: budget.category,
+    categoryLabel: categoryConfig?.label || null,
+    categoryIcon: categoryConfig?.icon || null,
+    monthlyLimit: parseFloat(budget.monthly_limit),
+    currency: budget.currency,
+    alertsEnabled: budget.alerts_enabled,
+    createdAt: budget.created_at,
+  };
+}
+
+/**
+ * Expenses per category between two dates, in ARS
+ * → { spending: { [category]: spent }, missingRates: [currencies left out for lack of a rate] }
+ */
+async function fetchCategorySpending(userId, start, end, rateType = DEFAULT_RATE_TYPE) {
+  const { data, error } = await supabase.rpc('get_category_spending', {
+    p_user_id: userId,
+    p_from: reportTimestamp(start),
+    p_to: reportTimestamp(end),
+    p_rate_type: rateType,
+  });
+
+  if (error) throw error;
+
+  const spending = {};
+  const missingRates = new Set();
+  for (const row of data || []) {
+    spending[row.category] = parseFloat(row.spent);
+    (row.missing_rates || []).forEach(currency => missingRates.add(currency));
+  }
+  return { spending, missingRates: [...missingRates].sort() };
+}
+
+/**
+ * Email the user when a new expense pushes its category budget past a threshold.
+ * Each threshold is recorded in budget_alerts so it's only sent once per month.
+ */
+async function checkBudgetAlerts(user, transaction) {
+  const typeConfig = TRANSACTION_TYPE_CONFIG[transaction.type];
+  if (!transaction.category || typeConfig?.direction !== 'out') return;
+
+  const { data: budget } = await supabase
+    .from('budgets')
+    .select('*')
+    .eq('user_id', user.id)
+    .eq('category', transaction.category)
+    .single();
+
+  if (!budget || !budget.alerts_enabled) return;
+
+  // Budgets are in ARS: other currencies count at the default rate, if there is one
+  const rates = await getLatestExchangeRates(DEFAULT_RATE_TYPE);
+  const amountARS = convertToARS(parseFloat(transaction.amount), transaction.currency, rates);
+  if (amountARS === null) return;
+
+  // Budget month of the transaction, in the reporting timezone
+  const occurredAt = new Date(transaction.received_at || transaction.created_at);
+  const month = new Date(occurredAt.getTime() + parseUtcOffsetMinutes(REPORT_UTC_OFFSET) * 60000)
+    .toISOString().slice(0, 7);
+  const start = `${month}-01`;
+
+  const { spending } = await fetchCategorySpending(user.id, start, addMonths(start, 1));
+  const limit = parseFloat(budget.monthly_limit);
+  const spent = spending[budget.category] || 0;
+  const spentBefore = spent - amountARS;
+
+  const crossed = BUDGET_ALERT_THRESHOLDS
+    .filter(threshold => spentBefore < (limit * threshold) / 100 && spent >= (limit * threshold) / 100);
+
+  if (crossed.length === 0) return;
+
+  // Only the highest threshold crossed gets an email; all are recorded
+  const threshold = Math.max(...crossed);
+  const { error: recordError } = await supabase
+    .from('budget_alerts')
+    .insert(crossed.map(t => ({
+      budget_id: budget.id,
+      period_month: start,
+      threshold: t,
+      spent,
+      transaction_id: transaction.id,
+    })));
+
+  if (recordError) {
+    // Unique violation: already alerted for this month
+    console.log(`⏭️ Budget alert already sent: ${budget.category} ${threshold}% (${month})`);
+    return;
+  }
+
+  await sendBudgetAlertEmail(user, budget, { threshold, spent, limit, month });
+}
+
+async function sendBudgetAlertEmail(user, budget, { threshold, spent, limit, month }) {
+  if (!resend) {
+    console.warn('⚠️ RESEND not configured, skipping budget alert email');
+    return;
+  }
+
+  const label = CATEGORY_LABELS[budget.category]?.label || budget.category;
+  const format = amount => `$${amount.toLocaleString('es-AR', { maximumFractionDigits: 2 })}`;
+  const headline = threshold >= 100
+    ? `You've exceeded your ${label} budget`
+    : `You've used ${threshold}% of your ${label} budget`;
+
+  const { error } = await resend.emails.send({
+    from: EMAIL_FROM,
+    to: user.email,
+    subject: `Budget alert: ${headline}`,
+    html: `
+      <h2>${headline}</h2>
+      <p>Spent in ${month}: <strong>${format(spent)}</strong> of ${format(limit)}.</p>
+      <p>Remaining: ${format(Math.max(limit - spent, 0))}</p>
+    `,
+    text: `${headline}\n\nSpent in ${month}: ${format(spent)} of ${format(limit)}.\nRemaining: ${format(Math.max(limit - spent, 0))}`,
+  });
+
+  if (error) {
+    console.error('❌ Budget alert email failed:', JSON.stringify(error));
+    return;
+  }
+
+  console.log(`🔔 Budget alert sent to ${user.email}: ${budget.category} ${threshold}%`);
+}
+
+// ============================================
+// CATEGORIZATION RULE HELPERS
+// ============================================
+
+function formatRule(rule) {
+  const categoryConfig = CATEGORY_LABELS[rule.category];
+  return {
+    id: rule.id,
+    counterpartyContains: rule.counterparty_contains,
+    descriptionMatches: rule.description_matches,
+    institution: rule.institution,
+    category: rule.category,
+    categoryLabel: categoryConfig?.label || null,
+    type: rule.type || null,
+    priority: rule.priority,
+    enabled: rule.enabled,
+    createdAt: rule.created_at,
+  };
+}
+
+/**
+ * Validate rule fields (camelCase body → DB columns)
+ * Returns { updates } or { error } with a message for the client
+ */
+function validateRuleFields(body) {
+  const updates = {};
+
+  const conditions = {
+    counterpartyContains: 'counterparty_contains',
+    descriptionMatches: 'description_matches',
+    institution: 'institution',
+  };
+
+  for (const [field, column] of Object.entries(conditions)) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && typeof body[field] !== 'string') {
+      return { error: `${field} must be a string or null` };
+    }
+    const value = body[field] ? body[field].trim() : '';
+    if (value.length > MAX_RULE_PATTERN_LENGTH) {
+      return { error: `${field} must be at most ${MAX_RULE_PATTERN_LENGTH} characters` };
+    }
+    updates[column] = value || null;
+  }
+
+  if (updates.institution) {
+    updates.institution = updates.institution.toLowerCase();
+  }
+
+  if (body.category !== undefined) {
+    if (!CATEGORY_LABELS[body.category]) {
+      return { error: `Invalid category. Valid categories: ${Object.keys(CATEGORY_LABELS).join(', ')}` };
+    }
+    updates.category = body.category;
+  }
+
+  if (body.type !== undefined) {
+    if (body.type !== null && !TRANSACTION_TYPE_CONFIG[body.type]) {
+      return { error: `Invalid type. Valid types: ${Object.keys(TRANSACTION_TYPE_CONFIG).join(', ')}` };
+    }
+    updates.type = body.type;
+  }
+
+  if (body.priority !== undefined) {
+    const priority = parseInt(body.priority);
+    if (isNaN(priority)) {
+      return { error: 'priority must be an integer' };
+    }
+    updates.priority = priority;
+  }
+
+  if (body.enabled !== undefined) {
+    updates.enabled = Boolean(body.enabled);
+  }
+
+  return { updates };
+}
+
+function hasRuleCondition(rule) {
+  return Boolean(rule.counterparty_contains || rule.description_matches || rule.institution);
+}
+
+/**
+ * A user's rules in evaluation order (lowest priority first, then oldest)
+ */
+async function fetchUserRules(userId, { includeDisabled = false } = {}) {
+  let query = supabase
+    .from('categorization_rules')
+    .select('*')
+    .eq('user_id', userId)
+    .order('priority', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (!includeDisabled) {
+    query = query.eq('enabled', true);
+  }
+
+  const { data: rules, error } = await query;
+
+  if (error) throw error;
+
+  return rules;
+}
+
+/**
+ * First rule whose conditions all match { counterparty, description, institution }
+ */
+function findMatchingRule(rules, tx) {
+  return rules.find(rule => {
+    if (rule.counterparty_contains &&
+        !(tx.counterparty || '').toLowerCase().includes(rule.counterparty_contains.toLowerCase())) {
+      return false;
+    }
+    if (rule.description_matches &&
+        !wildcardIncludes(rule.description_matches, tx.description || '')) {
+      return false;
+    }
+    if (rule.institution && (tx.institution || 'mercadopago') !== rule.institution) {
+      return false;
+    }
+    return true;
+  }) || null;
+}
+
+/**
+ * Case-insensitive wildcard search: * is any text, ? one character, and the
+ * pattern may match anywhere in text. Rules are user input, so this is a
+ * plain linear scan instead of a RegExp (no catastrophic backtracking).
+ */
+function wildcardIncludes(pattern, text) {
+  const p = `*${pattern.toLowerCase()}*`;
+  const t = text.toLowerCase();
+  let pi = 0;
+  let ti = 0;
+  let star = -1;
+  let mark = 0;
+
+  while (ti < t.length) {
+    if (pi < p.length && (p[pi] === '?' || p[pi] === t[ti])) {
+      pi++;
+      ti++;
+    } else if (pi < p.length && p[pi] === '*') {
+      star = pi++;
+      mark = ti;
+    } else if (star !== -1) {
+      pi = star + 1;
+      ti = ++mark;
+    } else {
+      return false;
+    }
+  }
+
+  while (p[pi] === '*') pi++;
+  return pi === p.length;
+}
+
+/**
+ * Run the user's rules over their existing transactions (optionally filtered
+ * like GET /api/transactions). Returns { changes } or { error }.
+ */
+async function planRuleChanges(user, params) {
+  const rules = await fetchUserRules(user.id);
+  const changes = [];
+
+  if (rules.length === 0) {
+    return { changes };
+  }
+
+  for (let offset = 0; ; offset += SCAN_BATCH_SIZE) {
+    const { query, error: filterError } = applyTransactionFilters(
+      supabase
+        .from('transactions')
+        .select('id, type, category, counterparty, description, institution')
+        .eq('user_id', user.id)
+        .order('id'),
+      params
+    );
+    if (filterError) {
+      return { error: filterError };
+    }
+
+    const { data: transactions, error } = await query.range(offset, offset + SCAN_BATCH_SIZE - 1);
+
+    if (error) throw error;
+
+    for (const tx of transactions) {
+      const rule = findMatchingRule(rules, tx);
+      if (!rule) continue;
+
+      const to = { category: rule.category, type: rule.type || tx.type };
+      if (to.category === tx.category && to.type === tx.type) continue;
+
+      changes.push({
+        transactionId: tx.id,
+        ruleId: rule.id,
+        counterparty: tx.counterparty,
+        description: tx.description,
+        institution: tx.institution,
+        from: { category: tx.category, type: tx.type },
+        to,
+      });
+    }
+
+    if (transactions.length < SCAN_BATCH_SIZE) break;
+  }
+
+  return { changes };
+}
+
+// ============================================
+// MERCHANT CATEGORY HELPERS
+// ============================================
+
+// Payment processor prefixes that hide the actual merchant ("MERPAGO*RAPPI")
+const MERCHANT_PREFIXES = /^(?:mercadopago|merpago|mp|dlo|dlocal|payu|paypal|sq|sp)\s*\*\s*/;
+
+/**
+ * Normalize a counterparty into a merchant key:
+ * "MERPAGO*Rappí  S.A. 1234" → "rappi s a"
+ */
+function normalizeMerchant(counterparty) {
+  if (!counterparty) return null;
+
+  const key = counterparty
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(MERCHANT_PREFIXES, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(token => token && !/^\d+$/.test(token))
+    .join(' ');
+
+  return key || null;
+}
+
+function formatMerchantCategory(mapping) {
+  const categoryConfig = CATEGORY_LABELS[mapping.category];
+  return {
+    id: mapping.id,
+    merchant: mapping.merchant_key,
+    counterparty: mapping.counterparty,
+    category: mapping.category,
+    categoryLabel: categoryConfig?.label || null,
+    updatedAt: mapping.updated_at,
+  };
+}
+
+/**
+ * Remember the category of a recategorized transaction for its merchant
+ */
+async function learnMerchantCategory(user, transaction) {
+  const merchantKey = normalizeMerchant(transaction.counterparty);
+  if (!merchantKey) return;
+
+  const { error } = await supabase
+    .from('merchant_categories')
+    .upsert({
+      user_id: user.id,
+      merchant_key: merchantKey,
+      counterparty: transaction.counterparty,
+      category: transaction.category,
+    }, { onConflict: 'user_id,merchant_key' });
+
+  if (error) throw error;
+
+  console.log(`🧠 Learned: ${user.email} - "${merchantKey}" → ${transaction.category}`);
+}
+
+/**
+ * Learned category for a counterparty: the user's own mapping first, then the
+ * global memory if the user opted in. Returns { source, category } or null.
+ */
+async function findMerchantCategory(user, counterparty) {
+  const merchantKey = normalizeMerchant(counterparty);
+  if (!merchantKey) return null;
+
+  const { data: mapping } = await supabase
+    .from('merchant_categories')
+    .select('category')
+    .eq('user_id', user.id)
+    .eq('merchant_key', merchantKey)
+    .single();
+
+  if (mapping) {
+    return { source: 'learned', category: mapping.category };
+  }
+
+  if (!user.share_merchant_categories) return null;
+
+  const { data: global, error } = await supabase.rpc('get_global_merchant_category', {
+    p_merchant_key: merchantKey,
+    p_min_users: GLOBAL_MERCHANT_MIN_USERS,
+  });
+
+  if (error) throw error;
+
+  return global && global.length > 0 ? { source: 'global', category: global[0].category } : null;
+}
+
+// ============================================
+// SUBSCRIPTION HELPERS
+// ============================================
+
+/**
+ * Outgoing payments since a date (YYYY-MM-DD), oldest first, in pages
+ */
+async function fetchSubscriptionCandidates(userId, since) {
+  const transactions = [];
+
+  for (let offset = 0; ; offset += SCAN_BATCH_SIZE) {
+    const { data: rows, error } = await supabase
+      .from('transactions')
+      .select('id, amount, currency, counterparty, description, category, received_at, created_at')
+      .eq('user_id', userId)
+      .in('type', SUBSCRIPTION_TYPES)
+      .is('internal_transfer_id', null)
+      .gte('received_at', reportTimestamp(since))
+      .order('received_at', { ascending: true })
+      .range(offset, offset + SCAN_BATCH_SIZE - 1);
+
+    if (error) throw error;
+
+    transactions.push(...rows);
+    if (rows.length < SCAN_BATCH_SIZE) break;
+  }
+
+  return transactions;
+}
+
+/**
+ * Group charges by merchant + currency and keep the groups that repeat on a
+ * weekly / monthly / yearly cadence with a stable (or rising) amount
+ */
+function detectSubscriptions(transactions, today) {
+  const groups = new Map();
+
+  for (const tx of transactions) {
+    // "Cobro automático" debits often only carry a description
+    const merchant = normalizeMerchant(tx.counterparty || tx.description);
+    if (!merchant) continue;
+
+    const currency = tx.currency || 'ARS';
+    const key = `${merchant}|${currency}`;
+    if (!groups.has(key)) groups.set(key, { merchant, currency, charges: [] });
+
+    groups.get(key).charges.push({
+      id: tx.id,
+      date: reportDate(tx.received_at || tx.created_at),
+      amount: parseFloat(tx.amount),
+      counterparty: tx.counterparty || tx.description,
+      category: tx.category,
+    });
+  }
+
+  return [...groups.values()]
+    .map(group => analyzeRecurringCharges(group, today))
+    .filter(Boolean)
+    .sort((a, b) => a.nextExpectedDate.localeCompare(b.nextExpectedDate));
+}
+
+/**
+ * Returns the subscription for one merchant's charges, or null if they don't recur
+ */
+function analyzeRecurringCharges({ merchant, currency, charges }, today) {
+  charges.sort((a, b) => a.date.localeCompare(b.date));
+  if (charges.length < 2) return null;
+
+  const intervals = charges.slice(1).map((charge, i) => daysBetween(charges[i].date, charge.date));
+  const medianInterval = [...intervals].sort((a, b) => a - b)[Math.floor(intervals.length / 2)];
+
+  const cadence = Object.keys(SUBSCRIPTION_CADENCES)
+    .find(name => Math.abs(medianInterval - SUBSCRIPTION_CADENCES[name].days) <= SUBSCRIPTION_CADENCES[name].tolerance);
+  if (!cadence) return null;
+
+  const config = SUBSCRIPTION_CADENCES[cadence];
+  if (charges.length < config.minCharges) return null;
+
+  // At least two thirds of the gaps must match the cadence (one late or skipped charge is fine)
+  const regular = intervals.filter(days => Math.abs(days - config.days) <= config.tolerance).length;
+  if (regular / intervals.length < 2 / 3) return null;
+
+  // Varying amounts at the same merchant (e.g. supermarket) are not a subscription
+  const stableAmounts = charges.slice(1).every((charge, i) => {
+    const ratio = charge.amount / charges[i].amount;
+    return ratio >= SUBSCRIPTION_AMOUNT_RATIO.min && ratio <= SUBSCRIPTION_AMOUNT_RATIO.max;
+  });
+  if (!stableAmounts) return null;
+
+  const last = charges[charges.length - 1];
+  const previous = charges[charges.length - 2];
+  const nextExpectedDate = cadence === 'weekly'
+    ? addDays(last.date, 7)
+    : addMonths(last.date, cadence === 'monthly' ? 1 : 12);
+
+  const flags = [];
+
+  const daysOverdue = daysBetween(nextExpectedDate, today) - config.grace;
+  if (daysOverdue > 0) {
+    flags.push({ type: 'missed', expectedDate: nextExpectedDate, daysOverdue });
+  }
+
+  const priceChange = (last.amount - previous.amount) / previous.amount;
+  if (priceChange > SUBSCRIPTION_PRICE_JUMP) {
+    flags.push({
+      type: 'price_jump',
+      previousAmount: previous.amount,
+      amount: last.amount,
+      changePercent: Math.round(priceChange * 1000) / 10,
+    });
+  }
+
+  const total = charges.reduce((sum, charge) => sum + charge.amount, 0);
+
+  return {
+    merchant,
+    counterparty: last.counterparty,
+    category: last.category,
+    currency,
+    cadence,
+    // Missed by more than a whole period: probably cancelled
+    status: daysOverdue > config.days ? 'inactive' : daysOverdue > 0 ? 'missed' : 'active',
+    averageAmount: Math.round((total / charges.length) * 100) / 100,
+    lastAmount: last.amount,
+    firstChargeDate: charges[0].date,
+    lastChargeDate: last.date,
+    nextExpectedDate,
+    chargeCount: charges.length,
+    transactionIds: charges.map(charge => charge.id),
+    flags,
+  };
+}
+
+// ============================================
+// EXPORT HELPERS
+// ============================================
+
+const OFX_TRANSACTION_TYPES = {
+  transfer_received: 'XFER',
+  payment_received: 'CREDIT',
+  deposit: 'DEP',
+  refund_received: 'CREDIT',
+  transfer_sent: 'XFER',
+  payment_sent: 'PAYMENT',
+  withdrawal: 'ATM',
+  refund_sent: 'DEBIT',
+  unknown: 'OTHER',
+};
+
+const TRANSACTION_EXPORTERS = {
+  csv: { contentType: 'text/csv; charset=utf-8', write: writeTransactionsCsv },
+  ofx: { contentType: 'application/x-ofx; charset=utf-8', write: writeTransactionsOfx },
+  qif: { contentType: 'application/qif; charset=utf-8', write: writeTransactionsQif },
+};
+
+/**
+ * Yield a user's filtered transactions in batches, oldest first.
+ * Keyset on (created_at, id) so only one batch is in memory at a time.
+ */
+async function* iterateTransactions(userId, params, currency = null) {
+  let last = null;
+
+  while (true) {
+    let query = supabase
+      .from('transactions')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(SCAN_BATCH_SIZE);
+
+    if (currency) {
+      query = query.eq('currency', currency);
+    }
+
+    query = applyTransactionFilters(query, params).query;
+
+    if (last) {
+      query = query.or(`created_at.gt.${last.created_at},and(created_at.eq.${last.created_at},id.gt.${last.id})`);
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) throw error;
+
+    if (rows.length > 0) yield rows;
+    if (rows.length < SCAN_BATCH_SIZE) return;
+
+    last = rows[rows.length - 1];
+  }
+}
+
+/**
+ * Write to the response, waiting for the socket to drain when it's backed up.
+ * Throws once the client is gone, which stops the exporter's batch loop.
+ */
+async function writeChunk(res, chunk) {
+  if (res.destroyed) {
+    throw new Error('Client disconnected');
+  }
+
+  if (!res.write(chunk)) {
+    await new Promise((resolve, reject) => {
+      const settle = (error) => {
+        res.off('drain', onDrain);
+        res.off('close', onClose);
+        res.off('error', onClose);
+        error ? reject(error) : resolve();
+      };
+      const onDrain = () => settle();
+      const onClose = () => settle(new Error('Client disconnected'));
+
+      res.on('drain', onDrain);
+      res.on('close', onClose);
+      res.on('error', onClose);
+    });
+  }
+}
+
+/**
+ * Amount signed by TRANSACTION_TYPE_CONFIG direction (money out is negative)
+ */
+function signedAmount(tx) {
+  const typeConfig = TRANSACTION_TYPE_CONFIG[tx.type] || TRANSACTION_TYPE_CONFIG.unknown;
+  const amount = parseFloat(tx.amount);
+  return typeConfig.direction === 'out' ? -amount : amount;
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Free text from emails: starting with =, +, - or @ it would run as a
+ * formula in spreadsheets, so it gets a leading quote
+ */
+function csvText(value) {
+  return value && /^[=+\-@]/.test(value) ? `'${value}` : value;
+}
+
+async function writeTransactionsCsv(res, user, params) {
+  const columns = [
+    'date', 'type', 'typeLabel', 'direction', 'amount', 'currency', 'displayAmount',
+    'category', 'categoryLabel', 'counterparty', 'description', 'institution', 'source',
+    'referenceId', 'id',
+  ];
+
+  // BOM so spreadsheet apps read the file as UTF-8 (accents in counterparties)
+  await writeChunk(res, '\uFEFF' + columns.join(',') + '\r\n');
+
+  let count = 0;
+  for await (const rows of iterateTransactions(user.id, params)) {
+    const lines = rows.map(tx => {
+      const formatted = formatTransaction(tx);
+      return [
+        reportDate(tx.received_at || tx.created_at),
+        formatted.type,
+        formatted.displayLabel,
+        formatted.direction,
+        signedAmount(tx).toFixed(2),
+        formatted.currency,
+        csvText(formatted.displayAmount),
+        formatted.category,
+        formatted.categoryLabel,
+        csvText(formatted.counterparty),
+        csvText(formatted.description),
+        formatted.institution,
+        formatted.source,
+        csvText(formatted.referenceId),
+        formatted.id,
+      ].map(csvField).join(',');
+    });
+
+    await writeChunk(res, lines.join('\r\n') + '\r\n');
+    count += rows.length;
+  }
+
+  return count;
+}
+
+function ofxText(value, maxLength) {
+  return String(value || '')
+    .slice(0, maxLength)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * OFX datetime in the reporting timezone: 20240315143000.000[-3:ART]
+ */
+function ofxDate(timestamp) {
+  const local = new Date(new Date(timestamp).getTime() + parseUtcOffsetMinutes(REPORT_UTC_OFFSET) * 60000);
+  const digits = local.toISOString().replace(/[-:T]/g, '').slice(0, 18);
+  return `${digits}[${parseUtcOffsetMinutes(REPORT_UTC_OFFSET) / 60}:ART]`;
+}
+
+/**
+ * OFX 2.1.1 bank statement download, one statement per currency
+ */
+async function writeTransactionsOfx(res, user, params) {
+  const now = new Date();
+  const balances = await getUserBalances(user);
+
+  await writeChunk(res, [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<DTSERVER>${ofxDate(now)}</DTSERVER>`,
+    '<LANGUAGE>SPA</LANGUAGE>',
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1>',
+    '',
+  ].join('\n'));
+
+  let count = 0;
+  let statements = 0;
+
+  const openStatement = async (currency, start) => {
+    statements++;
+    await writeChunk(res, [
+      '<STMTTRNRS>',
+      `<TRNUID>${statements}</TRNUID>`,
+      '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+      '<STMTRS>',
+      `<CURDEF>${currency}</CURDEF>`,
+      `<BANKACCTFROM><BANKID>JAMTY</BANKID><ACCTID>${user.external_id}-${currency}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>`,
+      '<BANKTRANLIST>',
+      `<DTSTART>${ofxDate(params.from || start)}</DTSTART>`,
+      `<DTEND>${ofxDate(params.to || now)}</DTEND>`,
+      '',
+    ].join('\n'));
+  };
+
+  const closeStatement = async currency => {
+    const balance = balances.find(b => b.currency === currency)?.balance || 0;
+    await writeChunk(res, [
+      '</BANKTRANLIST>',
+      `<LEDGERBAL><BALAMT>${balance.toFixed(2)}</BALAMT><DTASOF>${ofxDate(now)}</DTASOF></LEDGERBAL>`,
+      '</STMTRS>',
+      '</STMTTRNRS>',
+      '',
+    ].join('\n'));
+  };
+
+  for (const currency of Object.keys(CURRENCY_SYMBOLS)) {
+    let opened = false;
+
+    for await (const rows of iterateTransactions(user.id, params, currency)) {
+      if (!opened) {
+        await openStatement(currency, rows[0].received_at || rows[0].created_at);
+        opened = true;
+      }
+
+      const entries = rows.map(tx => [
+        '<STMTTRN>',
+        `<TRNTYPE>${OFX_TRANSACTION_TYPES[tx.type] || 'OTHER'}</TRNTYPE>`,
+        `<DTPOSTED>${ofxDate(tx.received_at || tx.created_at)}</DTPOSTED>`,
+        `<TRNAMT>${signedAmount(tx).toFixed(2)}</TRNAMT>`,
+        `<FITID>${tx.id}</FITID>`,
+        tx.counterparty ? `<NAME>${ofxText(tx.counterparty, 32)}</NAME>` : '',
+        `<MEMO>${ofxText([tx.description, CATEGORY_LABELS[tx.category]?.label].filter(Boolean).join(' - ') || TRANSACTION_TYPE_CONFIG[tx.type]?.label, 255)}</MEMO>`,
+        '</STMTTRN>',
+      ].filter(Boolean).join(''));
+
+      await writeChunk(res, entries.join('\n') + '\n');
+      count += rows.length;
+    }
+
+    if (opened) {
+      await closeStatement(currency);
+    }
+  }
+
+  // OFX needs at least one statement
+  if (statements === 0) {
+    await openStatement('ARS', now);
+    await closeStatement('ARS');
+  }
+
+  await writeChunk(res, '</BANKMSGSRSV1>\n</OFX>\n');
+
+  return count;
+}
+
+function qifText(value) {
+  return String(value || '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * QIF with one bank account per currency (QIF has no currency field)
+ */
+async function writeTransactionsQif(res, user, params) {
+  let count = 0;
+
+  for (const currency of Object.keys(CURRENCY_SYMBOLS)) {
+    let opened = false;
+
+    for await (const rows of iterateTransactions(user.id, params, currency)) {
+      if (!opened) {
+        await writeChunk(res, `!Account\nNJamty ${currency}\nTBank\n^\n!Type:Bank\n`);
+        opened = true;
+      }
+
+      const entries = rows.map(tx => {
+        const [year, month, day] = reportDate(tx.received_at || tx.created_at).split('-');
+        return [
+          `D${month}/${day}/${year}`,
+          `T${signedAmount(tx).toFixed(2)}`,
+          tx.counterparty ? `P${qifText(tx.counterparty)}` : null,
+          tx.description ? `M${qifText(tx.description)}` : null,
+          tx.category ? `L${CATEGORY_LABELS[tx.category]?.label || tx.category}` : null,
+          tx.reference_id ? `N${qifText(tx.reference_id)}` : null,
+          '^',
+        ].filter(Boolean).join('\n');
+      });
+
+      await writeChunk(res, entries.join('\n') + '\n');
+      count += rows.length;
+    }
+  }
+
+  return count;
+}
+
+// ============================================
+// STATEMENT IMPORT HELPERS
+// ============================================
+
+const STATEMENT_FORMATS = ['csv', 'xlsx', 'ofx'];
+
+// Column mappings per statement export. Headers are matched ignoring case, accents
+// and punctuation. `amount` is a signed column; `debit` / `credit` are split columns.
+const STATEMENT_PROFILES = {
+  galicia: {
+    institution: 'galicia',
+    dateFormat: 'DD/MM/YYYY',
+    columns: { date: 'Fecha', description: 'Descripción', debit: 'Débitos', credit: 'Créditos', reference: 'Número de Comprobante' },
+  },
+  santander: {
+    institution: 'santander',
+    dateFormat: 'DD/MM/YYYY',
+    columns: { date: 'Fecha', description: 'Descripción', reference: 'Referencia', amount: 'Importe' },
+  },
+  bbva: {
+    institution: 'bbva',
+    dateFormat: 'DD/MM/YYYY',
+    columns: { date: 'Fecha', description: 'Concepto', amount: 'Importe' },
+  },
+  // "Dinero en cuenta" activity report
+  mercadopago: {
+    institution: 'mercadopago',
+    dateFormat: 'DD-MM-YYYY',
+    columns: { date: 'RELEASE_DATE', description: 'TRANSACTION_TYPE', reference: 'REFERENCE_ID', amount: 'TRANSACTION_NET_AMOUNT' },
+  },
+  // Columns supplied per upload via ?mapping=
+  custom: {
+    institution: 'other',
+    dateFormat: 'DD/MM/YYYY',
+    columns: null,
+  },
+};
+
+const STATEMENT_COLUMNS = ['date', 'description', 'counterparty', 'amount', 'debit', 'credit', 'reference', 'currency'];
+const STATEMENT_DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'YYYY-MM-DD'];
+
+// Statement description keywords → type; anything else is payment_sent / deposit by sign
+const STATEMENT_TYPE_KEYWORDS = [
+  { pattern: /transf/i, in: 'transfer_received', out: 'transfer_sent' },
+  { pattern: /extracci|retiro|cajero|\batm\b/i, out: 'withdrawal' },
+  { pattern: /devoluci|reintegro|reembolso|contracargo/i, in: 'refund_received', out: 'refund_sent' },
+];
+
+// Words statements prepend to every movement; they say nothing about the counterparty
+const STATEMENT_STOPWORDS = new Set([
+  'compra', 'pago', 'debito', 'credito', 'transferencia', 'transf', 'tarjeta', 'visa', 'mastercard',
+  'master', 'amex', 'cabal', 'maestro', 'automatico', 'mercadopago', 'merpago', 'con', 'por', 'del', 'las', 'los',
+]);
+
+function formatImport(record) {
+  const summary = { total: record.rows.length, create: 0, duplicate: 0, invalid: 0 };
+  for (const row of record.rows) {
+    summary[row.status] = (summary[row.status] || 0) + 1;
+  }
+
+  return {
+    id: record.id,
+    profile: record.profile,
+    format: record.format,
+    filename: record.filename,
+    status: record.status,
+    summary,
+    createdCount: record.created_count || 0,
+    createdAt: record.created_at,
+    committedAt: record.committed_at || null,
+  };
+}
+
+function detectStatementFormat(filename, buffer) {
+  const extension = String(filename || '').split('.').pop().toLowerCase();
+  if (STATEMENT_FORMATS.includes(extension)) return extension;
+  if (extension === 'xls') return 'xlsx';
+  // XLSX files are zip archives
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b) return 'xlsx';
+  if (/<OFX>|OFXHEADER/i.test(buffer.subarray(0, 1000).toString('latin1'))) return 'ofx';
+  return 'csv';
+}
+
+/**
+ * The profile's mapping, or the one passed as ?mapping= JSON for the custom profile
+ * Returns { mapping } or { error }
+ */
+function resolveStatementMapping(profileId, rawMapping) {
+  const profile = STATEMENT_PROFILES[profileId];
+  if (profileId !== 'custom') {
+    return { mapping: profile };
+  }
+
+  let custom;
+  try {
+    custom = JSON.parse(rawMapping || '');
+  } catch (error) {
+    return { error: 'The custom profile needs a mapping JSON: {"columns":{"date":"...","amount":"..."},"dateFormat":"DD/MM/YYYY"}' };
+  }
+
+  const columns = custom?.columns || {};
+  for (const [column, header] of Object.entries(columns)) {
+    if (!STATEMENT_COLUMNS.includes(column)) {
+      return { error: `Unknown mapping column "${column}". Valid columns: ${STATEMENT_COLUMNS.join(', ')}` };
+    }
+    if (typeof header !== 'string' || !header.trim()) {
+      return { error: `Mapping column "${column}" must be a header name` };
+    }
+  }
+
+  if (!columns.date || !(columns.amount || columns.debit || columns.credit)) {
+    return { error: 'Mapping needs a date column and an amount (or debit/credit) column' };
+  }
+
+  const dateFormat = custom.dateFormat || profile.dateFormat;
+  if (!STATEMENT_DATE_FORMATS.includes(dateFormat)) {
+    return { error: `Invalid dateFormat. Valid formats: ${STATEMENT_DATE_FORMATS.join(', ')}` };
+  }
+
+  const currency = custom.currency ? String(custom.currency).toUpperCase() : undefined;
+  if (currency && !CURRENCY_SYMBOLS[currency]) {
+    return { error: `Invalid currency. Valid currencies: ${Object.keys(CURRENCY_SYMBOLS).join(', ')}` };
+  }
+
+  return {
+    mapping: {
+      institution: custom.institution ? String(custom.institution).toLowerCase().slice(0, 50) : profile.institution,
+      dateFormat,
+      currency,
+      columns,
+    },
+  };
+}
+
+/**
+ * Parse an uploaded statement into rows:
+ * { line, date, amount (signed), currency, description, counterparty, reference }
+ * or { line, error } for rows that can't be read. Returns { rows } or { error }.
+ */
+async function parseStatement(buffer, format, mapping) {
+  if (format === 'ofx') {
+    return parseOfxStatement(decodeStatementText(buffer));
+  }
+
+  let table;
+  if (format === 'xlsx') {
+    try {
+      table = await readSheet(buffer);
+    } catch (error) {
+      return { error: 'Could not read the spreadsheet' };
+    }
+  } else {
+    table = parseCsv(decodeStatementText(buffer));
+  }
+
+  return mapStatementRows(table, mapping);
+}
+
+/**
+ * Bank exports are often Latin-1 rather than UTF-8
+ */
+function decodeStatementText(buffer) {
+  const text = buffer.toString('utf8');
+  return (text.includes('\uFFFD') ? buffer.toString('latin1') : text).replace(/^\uFEFF/, '');
+}
+
+/**
+ * Minimal RFC 4180 parser; the delimiter (, ; or tab) is guessed from the first line
+ */
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function normalizeHeader(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Map spreadsheet/CSV rows to statement rows using the profile's column names.
+ * Exports often start with title/summary lines, so the header row is searched for
+ * (the first one with the date and amount columns; the others are optional).
+ */
+function mapStatementRows(table, mapping) {
+  const wanted = Object.entries(mapping.columns).map(([column, header]) => [column, normalizeHeader(header)]);
+  const required = wanted.filter(([column]) => ['date', 'amount', 'debit', 'credit'].includes(column));
+
+  const headerIndex = table.slice(0, 30).findIndex(row => {
+    const headers = row.map(normalizeHeader);
+    return required.every(([, header]) => headers.includes(header));
+  });
+
+  if (headerIndex === -1) {
+    return { error: `Header row not found. Expected columns: ${required.map(([column]) => mapping.columns[column]).join(', ')}` };
+  }
+
+  const headers = table[headerIndex].map(normalizeHeader);
+  const index = Object.fromEntries(wanted
+    .filter(([, header]) => headers.includes(header))
+    .map(([column, header]) => [column, headers.indexOf(header)]));
+  const cell = (row, column) => (index[column] === undefined ? null : row[index[column]]);
+  const text = value => (value === null || value === undefined ? null : String(value).trim() || null);
+
+  const rows = [];
+
+  table.slice(headerIndex + 1).forEach((row, i) => {
+    const line = headerIndex + i + 2;
+    if (row.every(value => text(value) === null)) return;
+
+    const date = parseStatementDate(cell(row, 'date'), mapping.dateFormat);
+    if (!date) {
+      rows.push({ line, status: 'invalid', error: 'Invalid date', raw: row.map(text) });
+      return;
+    }
+
+    let amount;
+    if (index.amount !== undefined) {
+      amount = parseStatementAmount(cell(row, 'amount'));
+    } else {
+      const credit = parseStatementAmount(cell(row, 'credit'));
+      const debit = parseStatementAmount(cell(row, 'debit'));
+      amount = credit || debit ? Math.abs(credit || 0) - Math.abs(debit || 0) : null;
+    }
+
+    if (!amount) {
+      rows.push({ line, status: 'invalid', error: 'Invalid amount', raw: row.map(text) });
+      return;
+    }
+
+    const currency = (text(cell(row, 'currency')) || mapping.currency || 'ARS').toUpperCase();
+    if (!CURRENCY_SYMBOLS[currency]) {
+      rows.push({ line, status: 'invalid', error: `Unsupported currency ${currency}`, raw: row.map(text) });
+      return;
+    }
+
+    rows.push({
+      line,
+      date,
+      amount: Math.round(amount * 100) / 100,
+      currency,
+      description: text(cell(row, 'description')),
+      counterparty: text(cell(row, 'counterparty')),
+      reference: text(cell(row, 'reference')),
+    });
+  });
+
+  return { rows };
+}
+
+/**
+ * OFX (1.x SGML or 2.x XML) bank and credit card statements
+ */
+function parseOfxStatement(text) {
+  const statements = text.split(/<(?:STMTRS|CCSTMTRS)>/i).slice(1);
+  if (statements.length === 0) {
+    return { error: 'No OFX statement found' };
+  }
+
+  const tag = (block, name) => {
+    const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() || null : null;
+  };
+
+  const rows = [];
+  let line = 0;
+
+  for (const statement of statements) {
+    const currency = (tag(statement, 'CURDEF') || 'ARS').toUpperCase();
+
+    for (const block of statement.split(/<STMTTRN>/i).slice(1)) {
+      line++;
+      const posted = tag(block, 'DTPOSTED') || '';
+      const date = /^\d{8}/.test(posted)
+        ? parseStatementDate(`${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`, 'YYYY-MM-DD')
+        : null;
+      const amount = parseFloat((tag(block, 'TRNAMT') || '').replace(',', '.'));
+
+      if (!date || !amount) {
+        rows.push({ line, status: 'invalid', error: !date ? 'Invalid date' : 'Invalid amount' });
+        continue;
+      }
+
+      if (!CURRENCY_SYMBOLS[currency]) {
+        rows.push({ line, status: 'invalid', error: `Unsupported currency ${currency}` });
+        continue;
+      }
+
+      rows.push({
+        line,
+        date,
+        amount: Math.round(amount * 100) / 100,
+        currency,
+        description: tag(block, 'MEMO'),
+        counterparty: tag(block, 'NAME'),
+        reference: tag(block, 'FITID'),
+      });
+    }
+  }
+
+  return { rows };
+}
+
+/**
+ * Statement date (string or spreadsheet Date) → YYYY-MM-DD, or null
+ */
+function parseStatementDate(value, format) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+
+  const text = String(value ?? '').trim();
+  let year, month, day;
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  const parts = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/);
+
+  if (iso) {
+    [, year, month, day] = iso.map(Number);
+  } else if (parts) {
+    const [, first, second, rawYear] = parts.map(Number);
+    [month, day] = format.startsWith('MM') ? [first, second] : [second, first];
+    year = rawYear < 100 ? 2000 + rawYear : rawYear;
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Statement amount → signed number, or null.
+ * Handles "1.234,56", "1,234.56", "1234.56", "-$ 1.234,56", "(1.234,56)" and "1.234,56-"
+ */
+function parseStatementAmount(value) {
+  if (typeof value === 'number') return value;
+
+  const text = String(value ?? '').trim();
+  if (!/\d/.test(text)) return null;
+
+  const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(text.replace(/[^\d,.()-]/g, ''));
+  let digits = text.replace(/[^\d,.]/g, '');
+
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+
+  if (lastComma > lastDot) {
+    // Comma is the decimal separator
+    digits = digits.replace(/\./g, '').replace(',', '.');
+  } else if (lastDot > lastComma && lastComma !== -1) {
+    digits = digits.replace(/,/g, '');
+  } else if (lastDot !== -1 && /^\d{1,3}(\.\d{3})+$/.test(digits)) {
+    // "1.234" is a thousands separator in Argentine statements
+    digits = digits.replace(/\./g, '');
+  }
+
+  const amount = parseFloat(digits);
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+}
+
+function inferStatementType(description, amount) {
+  const direction = amount < 0 ? 'out' : 'in';
+  const keyword = STATEMENT_TYPE_KEYWORDS.find(rule => rule[direction] && rule.pattern.test(description || ''));
+  if (keyword) return keyword[direction];
+  return direction === 'out' ? 'payment_sent' : 'deposit';
+}
+
+function merchantTokens(text) {
+  return (normalizeMerchant(text) || '')
+    .split(' ')
+    .filter(token => token.length >= 3 && !STATEMENT_STOPWORDS.has(token));
+}
+
+/**
+ * Mark each parsed row "duplicate" (with duplicateOf) when an existing transaction has
+ * the same signed amount and currency, a date within IMPORT_DEDUPE_WINDOW_DAYS and the
+ * same counterparty (a shared name token, or no name on one side), otherwise "create".
+ * Each existing transaction absorbs at most one row.
+ *
+ * Rows whose reference is already taken (by any of the user's transactions, or by an
+ * earlier row of the file) are duplicates too: the unique (user_id, reference_id)
+ * index would reject the whole insert batch. Rows already inserted by this import
+ * (importId, when resuming) are left alone and absorb nothing.
+ */
+async function markStatementDuplicates(userId, rows, { importId = null } = {}) {
+  const pending = rows.filter(row => !row.error && !row.imported);
+  if (pending.length === 0) return rows;
+
+  const dates = pending.map(row => row.date).sort();
+  const from = addDays(dates[0], -IMPORT_DEDUPE_WINDOW_DAYS);
+  const to = addDays(dates[dates.length - 1], IMPORT_DEDUPE_WINDOW_DAYS + 1);
+
+  const existing = [];
+  for (let offset = 0; ; offset += SCAN_BATCH_SIZE) {
+    const { data: batch, error } = await supabase
+      .from('transactions')
+      .select('id, type, amount, currency, counterparty, description, reference_id, import_id, received_at, created_at')
+      .eq('user_id', userId)
+      .gte('received_at', reportTimestamp(from))
+      .lt('received_at', reportTimestamp(to))
+      .order('id')
+      .range(offset, offset + SCAN_BATCH_SIZE - 1);
+
+    if (error) throw error;
+
+    existing.push(...batch.filter(tx => !importId || tx.import_id !== importId).map(tx => ({
+      id: tx.id,
+      date: reportDate(tx.received_at || tx.created_at),
+      amount: signedAmount(tx),
+      currency: tx.currency || 'ARS',
+      reference: tx.reference_id,
+      tokens: merchantTokens(tx.counterparty || tx.description),
+    })));
+
+    if (batch.length < SCAN_BATCH_SIZE) break;
+  }
+
+  const used = new Set();
+
+  for (const row of pending) {
+    const tokens = merchantTokens(row.counterparty || row.description);
+
+    const candidates = existing.filter(tx =>
+      !used.has(tx.id) &&
+      tx.currency === row.currency &&
+      Math.abs(tx.amount - row.amount) < 0.005 &&
+      Math.abs(daysBetween(tx.date, row.date)) <= IMPORT_DEDUPE_WINDOW_DAYS &&
+      ((row.reference && tx.reference === row.reference) ||
+        tokens.length === 0 || tx.tokens.length === 0 ||
+        tokens.some(token => tx.tokens.includes(token)))
+    );
+
+    const match = candidates.sort((a, b) =>
+      Math.abs(daysBetween(a.date, row.date)) - Math.abs(daysBetween(b.date, row.date)))[0];
+
+    if (match) {
+      used.add(match.id);
+      row.status = 'duplicate';
+      row.duplicateOf = match.id;
+    } else {
+      row.status = 'create';
+    }
+  }
+
+  const references = [...new Set(pending
+    .filter(row => row.status === 'create' && row.reference)
+    .map(row => row.reference))];
+  const taken = new Map();
+
+  for (let i = 0; i < references.length; i += 100) {
+    const { data: found, error } = await supabase
+      .from('transactions')
+      .select('id, reference_id')
+      .eq('user_id', userId)
+      .in('reference_id', references.slice(i, i + 100));
+
+    if (error) throw error;
+    found.forEach(tx => taken.set(tx.reference_id, tx.id));
+  }
+
+  const seen = new Set();
+  for (const row of rows) {
+    if (row.error || !row.reference || row.status !== 'create') continue;
+
+    if (!row.imported && taken.has(row.reference)) {
+      row.status = 'duplicate';
+      row.duplicateOf = taken.get(row.reference);
+    } else if (!row.imported && seen.has(row.reference)) {
+      row.status = 'duplicate';
+      row.duplicateOf = null;
+    }
+    seen.add(row.reference);
+  }
+
+  return rows;
+}
+
+// ============================================
+// EMAIL REPROCESSING HELPERS
+// ============================================
+
+/**
+ * Signed POST to the worker, with the same headers and secret the worker
+ * uses towards /webhook (see webhookAuthMiddleware)
+ */
+async function postToWorker(path, data) {
+  const body = JSON.stringify(data);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomUUID();
+  const signature = crypto.createHmac('sha256', WEBHOOK_SECRETS[0])
+    .update(`${timestamp}.${nonce}.${body}`)
+    .digest('hex');
+
+  const response = await fetch(new URL(path, WORKER_URL), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Nonce': nonce,
+      'X-Webhook-Signature': `v1=${signature}`,
+    },
+    body,
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Worker ${path} failed (${response.status}): ${result.error || 'no details'}`);
+  }
+
+  return result;
+}
+
+/**
+ * The user's archived emails in the period, re-parsed by the worker (oldest
+ * first, at most REPROCESS_MAX_EMAILS). Returns { emails, truncated }
+ */
+async function fetchReparsedEmails(user, { from, to }) {
+  const emails = [];
+  let cursor = null;
+
+  do {
+    const page = await postToWorker('/reparse', { userId: user.external_id, from, to, cursor });
+    emails.push(...page.emails);
+    cursor = page.cursor;
+  } while (cursor && emails.length < REPROCESS_MAX_EMAILS);
+
+  return {
+    emails: emails.slice(0, REPROCESS_MAX_EMAILS),
+    truncated: Boolean(cursor) || emails.length > REPROCESS_MAX_EMAILS,
+  };
+}
+
+/**
+ * One preview row per reparsed email:
+ * - update / unchanged: its transaction, with the fields that would change
+ * - create: its parsing failure is unresolved and the email parses now
+ * - skipped: doesn't parse (anymore), or nothing to compare it with
+ *   (transaction deleted, failure dismissed, received before the archive)
+ */
+async function planReprocessRows(user, emails) {
+  const archiveKeys = emails.map(email => email.archiveKey);
+  const transactions = new Map();
+  const failures = new Map();
+
+  for (let i = 0; i < archiveKeys.length; i += 100) {
+    const batch = archiveKeys.slice(i, i + 100);
+
+    const { data: found, error } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('user_id', user.id)
+      .in('email_archive_key', batch);
+    if (error) throw error;
+    found.forEach(tx => transactions.set(tx.email_archive_key, tx));
+
+    const { data: failed, error: failureError } = await supabase
+      .from('parsing_failures')
+      .select('id, archive_key, resolved')
+      .eq('user_id', user.external_id)
+      .in('archive_key', batch);
+    if (failureError) throw failureError;
+    failed.forEach(failure => failures.set(failure.archive_key, failure));
+  }
+
+  const rules = await fetchUserRules(user.id);
+
+  return emails.map(email => {
+    const transaction = transactions.get(email.archiveKey);
+    const failure = failures.get(email.archiveKey);
+    const row = {
+      archiveKey: email.archiveKey,
+      receivedAt: email.receivedAt,
+      subject: email.subject,
+      institution: email.institution,
+      parseStatus: email.status,
+      transactionId: transaction?.id || null,
+      failureId: failure?.id || null,
+    };
+
+    if (email.status !== 'parsed') {
+      return { ...row, status: 'skipped', reason: transaction ? `Now ${email.status}, transaction kept` : email.status };
     }
 
-    // Get user by external_id
-    console.log('🔍 Looking up user:', userId);
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('email')
-      .eq('external_id', userId)
-      .single();
+    const parsed = normalizeReparsedTransaction(email.transaction);
+    // Same overrides the webhook got through /match-rule
+    const rule = findMatchingRule(rules, { ...parsed, institution: email.institution });
+    if (rule?.type) parsed.type = rule.type;
 
-    if (userError || !user) {
-      console.warn(`⚠️ No user found for verification: ${userId}`, userError);
-      return res.status(404).json({ error: 'User not found' });
+    if (transaction) {
+      const changes = {};
+      for (const [field, column] of Object.entries(REPROCESS_FIELDS)) {
+        const stored = storedReprocessValue(transaction, column);
+        if (stored !== parsed[field]) {
+          changes[field] = { from: stored, to: parsed[field] };
+        }
+      }
+
+      const changed = Object.keys(changes).length > 0;
+      return {
+        ...row,
+        status: changed ? 'update' : 'unchanged',
+        changes,
+        // A new currency needs an account in that currency (picked on apply)
+        ...(changes.currency && { accountLast4: parsed.accountLast4 }),
+        balanceChanges: changed ? reprocessBalanceChanges(storedReprocessTransaction(transaction), parsed) : {},
+      };
     }
-    console.log('✅ User found:', user.email);
 
-    if (!resend) {
-      console.error('❌ RESEND not configured');
-      return res.status(500).json({ error: 'Email service not configured' });
+    if (failure && !failure.resolved) {
+      return {
+        ...row,
+        status: 'create',
+        parsed,
+        category: rule ? rule.category : null,
+        balanceChanges: reprocessBalanceChanges(null, parsed),
+      };
     }
-    console.log('✅ Resend client configured');
 
-    // Forward the verification email to the user
-    console.log('📧 Sending email via Resend...');
-    const { data, error } = await resend.emails.send({
-      from: 'Jamty Finance <noreply@jamty.xyz>',
-      to: user.email,
-      subject: subject || 'Gmail Forwarding Verification',
-      html: htmlBody || `
-        <h2>Gmail Forwarding Verification</h2>
-        <p>You requested to forward emails to your Jamty Finance account.</p>
-        ${verificationLink ? `<p><a href="${verificationLink}">Click here to confirm forwarding</a></p>` : ''}
-        <p>Or copy this link: ${verificationLink || 'N/A'}</p>
-      `,
-      text: textBody || `Gmail Forwarding Verification\n\nClick here to confirm: ${verificationLink || 'N/A'}`,
+    return { ...row, status: 'skipped', reason: failure ? 'Parsing failure already resolved' : 'No stored transaction' };
+  });
+}
+
+function normalizeReparsedTransaction(tx) {
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+  return {
+    type: tx.type,
+    amount: Math.round(Number(tx.amount) * 100) / 100,
+    currency: String(tx.currency || 'ARS').toUpperCase(),
+    counterparty: text(tx.counterparty),
+    description: text(tx.description),
+    referenceId: text(tx.referenceId),
+    accountLast4: text(tx.accountLast4),
+    counterpartyCuit: normalizeCuit(tx.counterpartyCuit),
+    counterpartyCbu: normalizeCbu(tx.counterpartyCbu),
+  };
+}
+
+function storedReprocessValue(tx, column) {
+  if (column === 'amount') return parseFloat(tx.amount);
+  if (column === 'currency') return tx.currency || 'ARS';
+  return tx[column] ?? null;
+}
+
+function storedReprocessTransaction(tx) {
+  return Object.fromEntries(Object.entries(REPROCESS_FIELDS).map(([field, column]) => [field, storedReprocessValue(tx, column)]));
+}
+
+/**
+ * Per-currency balance effect of replacing `before` (null = new) with `after`
+ */
+function reprocessBalanceChanges(before, after) {
+  const changes = {};
+
+  if (before) {
+    changes[before.currency] = -calculateBalanceChange(before.type, before.amount);
+  }
+  changes[after.currency] = (changes[after.currency] || 0) + calculateBalanceChange(after.type, after.amount);
+
+  return Object.fromEntries(Object.entries(changes)
+    .map(([currency, amount]) => [currency, Math.round(amount * 100) / 100])
+    .filter(([, amount]) => amount !== 0));
+}
+
+/**
+ * Write an "update" row. The update only matches while the transaction still
+ * has the values seen in the preview; otherwise it's a conflict. So is a
+ * reparsed referenceId that another transaction already has. A currency
+ * change moves the transaction to an account in the new currency, like the
+ * webhook would have picked.
+ */
+async function applyReprocessUpdate(user, row) {
+  const updates = Object.fromEntries(Object.entries(row.changes).map(([field, change]) => [REPROCESS_FIELDS[field], change.to]));
+
+  if (row.changes.currency) {
+    const account = await resolveTransactionAccount(user, {
+      institution: row.institution || 'mercadopago',
+      currency: row.changes.currency.to,
+      last4: row.accountLast4,
     });
+    updates.account_id = account?.id || null;
+  }
 
-    if (error) {
-      console.error('❌ Resend error:', JSON.stringify(error));
-      return res.status(500).json({ error: 'Failed to send email', details: error });
+  let query = supabase
+    .from('transactions')
+    .update(updates)
+    .eq('id', row.transactionId)
+    .eq('user_id', user.id);
+
+  for (const [field, change] of Object.entries(row.changes)) {
+    const column = REPROCESS_FIELDS[field];
+    if (change.from === null) {
+      query = query.is(column, null);
+    } else if (column === 'currency' && change.from === 'ARS') {
+      query = query.or('currency.is.null,currency.eq.ARS');
+    } else {
+      query = query.eq(column, change.from);
     }
+  }
 
-    console.log(`📧 Verification email forwarded to ${user.email} (ID: ${data.id})`);
-    return res.json({ status: 'forwarded', emailId: data.id });
+  const { data: updated, error } = await query.select('id');
 
-  } catch (error) {
-    console.error('❌ Forward verification error:', error.message, error.stack);
-    return res.status(500).json({ error: 'Internal server error' });
+  if (error?.code === '23505') return 'conflict';
+  if (error) throw error;
+
+  return updated.length > 0 ? 'updated' : 'conflict';
+}
+
+/**
+ * Write a "create" row: claims its parsing failure (like the review queue does)
+ * and links it to the new transaction
+ */
+async function applyReprocessCreate(user, row) {
+  const { data: failure } = await supabase
+    .from('parsing_failures')
+    .update({ resolved: true, resolved_at: new Date().toISOString() })
+    .eq('id', row.failureId)
+    .eq('user_id', user.external_id)
+    .eq('resolved', false)
+    .select()
+    .single();
+
+  if (!failure) return 'conflict';
+
+  let transaction;
+  try {
+    ({ transaction } = await createEmailTransaction(user, {
+      ...row.parsed,
+      category: row.category,
+      institution: row.institution,
+      subject: failure.email_subject,
+      from: failure.email_from,
+      archiveKey: row.archiveKey,
+      receivedAt: row.receivedAt,
+    }));
+  } catch (insertError) {
+    await supabase
+      .from('parsing_failures')
+      .update({ resolved: false, resolved_at: null })
+      .eq('id', failure.id);
+    if (insertError.code === '23505') return 'conflict';
+    throw insertError;
   }
-});
 
-// ============================================
-// HEALTH CHECK
-// ============================================
+  const { error: linkError } = await supabase
+    .from('parsing_failures')
+    .update({ transaction_id: transaction.id })
+    .eq('id', failure.id);
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0',
-  });
-});
+  if (linkError) throw linkError;
+
+  row.transactionId = transaction.id;
+  return 'created';
+}
+
+function formatReprocessRun(record) {
+  const summary = { total: record.rows.length, update: 0, create: 0, unchanged: 0, skipped: 0 };
+  const balanceChanges = {};
+
+  for (const row of record.rows) {
+    summary[row.status] = (summary[row.status] || 0) + 1;
+
+    // Preview: what applying would change; afterwards: what was written
+    const counts = record.status === 'preview'
+      ? row.status === 'update' || row.status === 'create'
+      : row.result === 'updated' || row.result === 'created';
+    if (!counts) continue;
+
+    for (const [currency, amount] of Object.entries(row.balanceChanges || {})) {
+      balanceChanges[currency] = Math.round(((balanceChanges[currency] || 0) + amount) * 100) / 100;
+    }
+  }
+
+  return {
+    id: record.id,
+    status: record.status,
+    from: record.period_from,
+    to: record.period_to,
+    summary,
+    balanceChanges,
+    updatedCount: record.updated_count || 0,
+    createdCount: record.created_count || 0,
+    createdAt: record.created_at,
+    appliedAt: record.applied_at || null,
+  };
+}
 
 // ============================================
-// HELPER FUNCTIONS
+// PROFILE AND ACCOUNT DELETION HELPERS
 // ============================================
 
+// Data export: tables with a user_id column (parsing_failures: external_id),
+// the column their rows are paged by, and columns left out
+const DATA_EXPORT_TABLES = [
+  { table: 'transactions', orderBy: 'id' },
+  { table: 'parsing_failures', orderBy: 'id', byExternalId: true },
+  { table: 'accounts', orderBy: 'id' },
+  { table: 'user_balances', orderBy: 'currency' },
+  { table: 'internal_transfers', orderBy: 'id' },
+  { table: 'budgets', orderBy: 'id' },
+  { table: 'categorization_rules', orderBy: 'id' },
+  { table: 'merchant_categories', orderBy: 'id' },
+  { table: 'statement_imports', orderBy: 'id' },
+  { table: 'email_reprocess_runs', orderBy: 'id' },
+  { table: 'user_sessions', orderBy: 'id', omit: ['refresh_token_hash', 'previous_token_hash'] },
+];
+
+async function verifyPassword(user, password) {
+  if (typeof password !== 'string' || !password) return false;
+  return bcrypt.compare(password, user.password_hash);
+}
+
 /**
- * Normalize email address for consistent storage
- * Handles formats like "Name <email@domain.com>" or just "email@domain.com"
+ * { exportedAt, user, <table>: rows... } with every row the user owns
  */
-function normalizeEmail(email) {
-  if (!email) return null;
-  const normalized = email.toLowerCase().trim();
-  // Extract email from "Name <email@domain.com>" format if present
-  const match = normalized.match(/<([^>]+)>/);
-  return match ? match[1].trim() : normalized;
-}
+async function buildDataExport(user) {
+  const { password_hash, ...profile } = user;
+  const data = { exportedAt: new Date().toISOString(), user: profile };
 
-// ============================================
-// TRANSACTION NORMALIZATION MAPPINGS
-// ============================================
+  for (const { table, orderBy, byExternalId, omit = [] } of DATA_EXPORT_TABLES) {
+    const rows = [];
 
-const TRANSACTION_TYPE_CONFIG = {
-  // Money IN (+)
-  transfer_received: {
-    label: 'Transfer Received',
-    direction: 'in',
-    icon: 'arrow-down-left',
-    color: 'green'
-  },
-  payment_received: {
-    label: 'Payment Received',
-    direction: 'in',
-    icon: 'wallet',
-    color: 'green'
-  },
-  deposit: {
-    label: 'Deposit',
-    direction: 'in',
-    icon: 'plus-circle',
-    color: 'green'
-  },
-  refund_received: {
-    label: 'Refund Received',
-    direction: 'in',
-    icon: 'refresh-cw',
-    color: 'green'
-  },
-  // Money OUT (-)
-  transfer_sent: {
-    label: 'Transfer Sent',
-    direction: 'out',
-    icon: 'arrow-up-right',
-    color: 'red'
-  },
-  payment_sent: {
-    label: 'Payment Sent',
-    direction: 'out',
-    icon: 'credit-card',
-    color: 'red'
-  },
-  withdrawal: {
-    label: 'Withdrawal',
-    direction: 'out',
-    icon: 'minus-circle',
-    color: 'red'
-  },
-  refund_sent: {
-    label: 'Refund Sent',
-    direction: 'out',
-    icon: 'refresh-cw',
-    color: 'red'
-  },
-  // Unknown
-  unknown: {
-    label: 'Transaction',
-    direction: 'unknown',
-    icon: 'help-circle',
-    color: 'gray'
-  }
-};
+    for (let offset = 0; ; offset += SCAN_BATCH_SIZE) {
+      const { data: batch, error } = await supabase
+        .from(table)
+        .select('*')
+        .eq('user_id', byExternalId ? user.external_id : user.id)
+        .order(orderBy, { ascending: true })
+        .range(offset, offset + SCAN_BATCH_SIZE - 1);
 
-const CATEGORY_LABELS = {
-  'utilities-bills': { label: 'Utilities & Bills', icon: 'zap' },
-  'food-dining': { label: 'Food & Dining', icon: 'utensils' },
-  'transportation': { label: 'Transportation', icon: 'car' },
-  'shopping-clothing': { label: 'Shopping & Clothing', icon: 'shopping-bag' },
-  'health-wellness': { label: 'Health & Wellness', icon: 'heart' },
-  'recreation-entertainment': { label: 'Recreation & Entertainment', icon: 'film' },
-  'financial-obligations': { label: 'Financial Obligations', icon: 'landmark' },
-  'savings-investments': { label: 'Savings & Investments', icon: 'trending-up' },
-  'miscellaneous-other': { label: 'Miscellaneous / Other', icon: 'more-horizontal' }
-};
+      if (error) throw error;
 
-function formatTransaction(tx) {
-  const typeConfig = TRANSACTION_TYPE_CONFIG[tx.type] || TRANSACTION_TYPE_CONFIG.unknown;
-  const categoryConfig = tx.category ? CATEGORY_LABELS[tx.category] : null;
+      rows.push(...batch.map(row => {
+        const copy = { ...row };
+        omit.forEach(column => delete copy[column]);
+        return copy;
+      }));
 
-  return {
-    // Original fields
-    id: tx.id,
-    type: tx.type,
-    amount: parseFloat(tx.amount),
-    currency: tx.currency,
-    counterparty: tx.counterparty,
-    description: tx.description,
-    referenceId: tx.reference_id,
-    category: tx.category || null,
-    institution: tx.institution || 'mercadopago',
-    createdAt: tx.created_at,
+      if (batch.length < SCAN_BATCH_SIZE) break;
+    }
 
-    // Normalized display fields
-    displayLabel: typeConfig.label,
-    direction: typeConfig.direction,
-    isExpense: typeConfig.direction === 'out',
-    isIncome: typeConfig.direction === 'in',
-    iconType: typeConfig.icon,
-    colorHint: typeConfig.color,
+    data[table] = rows;
+  }
 
-    // Formatted amount with sign
-    displayAmount: typeConfig.direction === 'out'
-      ? `-$${parseFloat(tx.amount).toLocaleString('es-AR')}`
-      : `+$${parseFloat(tx.amount).toLocaleString('es-AR')}`,
+  // Budget alerts belong to the user through their budgets
+  const budgetIds = data.budgets.map(budget => budget.id);
+  data.budget_alerts = [];
+  if (budgetIds.length > 0) {
+    const { data: alerts, error } = await supabase
+      .from('budget_alerts')
+      .select('*')
+      .in('budget_id', budgetIds)
+      .order('sent_at', { ascending: true });
 
-    // Category normalization
-    categoryLabel: categoryConfig?.label || null,
-    categoryIcon: categoryConfig?.icon || null,
-  };
+    if (error) throw error;
+    data.budget_alerts = alerts;
+  }
+
+  return data;
 }
 
-function calculateBalanceChange(type, amount) {
-  const incomeTypes = ['transfer_received', 'payment_received', 'deposit', 'refund_received'];
-  const expenseTypes = ['transfer_sent', 'payment_sent', 'withdrawal', 'refund_sent'];
+async function sendAccountDeletionEmail(user) {
+  if (!resend) {
+    console.warn('⚠️ RESEND not configured, skipping account deletion email');
+    return;
+  }
 
-  if (incomeTypes.includes(type)) return amount;
-  if (expenseTypes.includes(type)) return -amount;
-  return 0;
+  const date = reportDate(user.deletion_scheduled_for);
+  const { error } = await resend.emails.send({
+    from: EMAIL_FROM,
+    to: user.email,
+    subject: 'Your account will be deleted',
+    html: `
+      <h2>Your account will be deleted on ${date}</h2>
+      <p>All your transactions, accounts, budgets and archived emails will be removed for good.</p>
+      <p>Changed your mind? Log in and cancel the deletion before that date.</p>
+    `,
+    text: `Your account will be deleted on ${date}\n\nAll your transactions, accounts, budgets and archived emails will be removed for good.\nChanged your mind? Log in and cancel the deletion before that date.`,
+  });
+
+  if (error) {
+    throw new Error(`Resend error: ${JSON.stringify(error)}`);
+  }
 }
 
-async function logParsingFailure(data) {
+/**
+ * Delete the accounts whose grace period is over: first their raw email
+ * archive in the worker, then the database rows (delete_user_account).
+ * A failed account is retried on the next sweep.
+ */
+async function purgeDeletedAccounts() {
   try {
-    await supabase.from('parsing_failures').insert({
-      user_id: data.userId || null,
-      reason: data.reason || 'unknown',
-      email_subject: data.subject || null,
-      email_from: normalizeEmail(data.from),
-      body_preview: data.bodyPreview || null,
-      raw_data: data,
-    });
+    const { data: users, error } = await supabase
+      .from('users')
+      .select('id, email, external_id')
+      .lte('deletion_scheduled_for', new Date().toISOString())
+      .limit(50);
+
+    if (error) throw error;
+
+    for (const user of users) {
+      try {
+        if (WORKER_URL) {
+          await postToWorker('/archive/delete', { userId: user.external_id });
+        } else {
+          console.warn(`⚠️ WORKER_URL not set: archived emails of ${user.external_id} expire with the retention period`);
+        }
+
+        const { data: deleted, error: deleteError } = await supabase.rpc('delete_user_account', { p_user_id: user.id });
+        if (deleteError) throw deleteError;
+
+        if (deleted) {
+          console.log(`🗑️ Account deleted: ${user.email}`);
+        }
+      } catch (userError) {
+        console.error(`⚠️ Could not delete account ${user.email}:`, userError);
+      }
+    }
   } catch (error) {
-    console.error('Failed to log parsing failure:', error);
+    console.error('⚠️ Account deletion sweep failed:', error);
   }
 }
 
@@ -678,6 +5923,13 @@ async function logParsingFailure(data) {
 // SERVER STARTUP
 // ============================================
 
+// Anyone holding the webhook secret can create transactions for any user:
+// never start with a missing or publicly known one
+if (!process.env.WEBHOOK_SECRET || WEBHOOK_SECRETS.includes(LEGACY_WEBHOOK_SECRET)) {
+  console.error('❌ WEBHOOK_SECRET is missing or the default one - set a random value (openssl rand -hex 32)');
+  process.exit(1);
+}
+
 app.listen(PORT, () => {
   console.log('');
   console.log('='.repeat(60));
@@ -691,16 +5943,57 @@ app.listen(PORT, () => {
   console.log('   POST /api/auth/register  - Create account');
   console.log('   POST /api/auth/login     - Login');
   console.log('   GET  /api/auth/me        - Get current user');
+  console.log('   POST /api/auth/refresh   - New access token (rotates refresh token)');
+  console.log('   POST /api/auth/logout    - End this session (or all)');
+  console.log('   GET  /api/auth/sessions  - Active sessions (+ DELETE /:id)');
+  console.log('   POST /api/auth/verify-email - Confirm email (+ /resend)');
+  console.log('   POST /api/auth/forgot-password - Email a password reset link');
+  console.log('   POST /api/auth/reset-password - Set a new password');
+  console.log('');
+  console.log('🙍 Profile (protected):');
+  console.log('   PATCH /api/profile       - Change name / email');
+  console.log('   POST /api/profile/password - Change password');
+  console.log('   GET  /api/profile/export - Download all your data (JSON)');
+  console.log('   POST /api/profile/deletion - Schedule account deletion (+ DELETE to cancel)');
   console.log('');
   console.log('👤 User Endpoints (protected):');
   console.log('   GET  /api/balance        - Get balance');
+  console.log('   POST /api/balance/recompute - Rebuild balance from ledger');
+  console.log('   GET  /api/accounts       - Accounts with balances (+ POST/PATCH/DELETE)');
+  console.log('   GET  /api/internal-transfers - Transfers between own accounts');
+  console.log('   POST /api/internal-transfers/detect - Pair transfers in the history');
+  console.log('   POST /api/internal-transfers/:id/confirm|unlink - Review a pair');
   console.log('   GET  /api/transactions   - Get transactions');
+  console.log('   GET  /api/transactions/export - Export as CSV, OFX or QIF');
+  console.log('   POST /api/transactions   - Add manual transaction');
+  console.log('   PATCH /api/transactions/:id - Edit/recategorize transaction');
+  console.log('   DELETE /api/transactions/:id - Delete transaction');
   console.log('   GET  /api/summary        - Get dashboard data');
+  console.log('   GET  /api/analytics      - Period analytics');
+  console.log('   GET  /api/budgets        - Category budgets (+ POST/PATCH/DELETE)');
+  console.log('   GET  /api/budgets/status - Budget spending status');
+  console.log('   POST /api/imports        - Upload statement (preview)');
+  console.log('   POST /api/imports/:id/commit - Create the previewed transactions');
+  console.log('   GET  /api/subscriptions  - Detected recurring payments');
+  console.log('   GET  /api/rules          - Categorization rules (+ POST/PATCH/DELETE)');
+  console.log('   GET  /api/rules/preview  - Transactions the rules would change');
+  console.log('   POST /api/rules/apply    - Re-apply rules to transactions');
+  console.log('   GET  /api/merchant-categories - Learned merchant categories (+ DELETE)');
+  console.log('   GET  /api/parsing-failures - Unresolved parsing failures');
+  console.log('   POST /api/parsing-failures/:id/resolve - Dismiss failure');
+  console.log('   POST /api/parsing-failures/:id/transaction - Create transaction from failure');
+  console.log('   POST /api/reprocess      - Re-parse archived emails (preview)');
+  console.log('   POST /api/reprocess/:id/apply - Apply the previewed corrections');
   console.log('');
   console.log('📧 Webhook:');
   console.log('   POST /webhook            - From Cloudflare Worker');
+  console.log('   POST /match-rule         - Categorization rule lookup');
+  console.log('   POST /forward-verification - Gmail verification forwarding');
   console.log('');
   console.log(`📬 Email domain: ${EMAIL_DOMAIN}`);
   console.log('='.repeat(60));
   console.log('');
+
+  purgeDeletedAccounts();
+  setInterval(purgeDeletedAccounts, ACCOUNT_DELETION_SWEEP_MINUTES * 60000);
 });
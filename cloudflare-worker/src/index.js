@@ -9,15 +9,197 @@
  * 2. Step 1: Validate sender institution (MP, Ualá, banks, etc.)
  * 3. Step 2: Classify intent (transaction vs promotional)
  * 4. Step 3: Parse and normalize transaction data
- * 5. POST to backend webhook
+ * 5. POST to backend webhook (failed deliveries are retried from a queue)
+ *
+ * Raw emails are archived, and the backend can have them parsed again with
+ * the current parser (POST /reparse) to correct past transactions, or
+ * deleted with the user's account (POST /archive/delete).
  */
 
 // ============================================
 // CONFIGURATION
 // ============================================
 
-const WEBHOOK_URL = "https://web-production-d345.up.railway.app/webhook";
-const SECRET_KEY = "super_secret_password";
+// Set per environment - never in code:
+//   WEBHOOK_URL     [vars] in wrangler.toml (defaults to DEFAULT_WEBHOOK_URL)
+//   WEBHOOK_SECRET  `wrangler secret put WEBHOOK_SECRET` (signs every backend request)
+const DEFAULT_WEBHOOK_URL = "https://web-production-d345.up.railway.app/webhook";
+
+// /webhook deliveries that fail (backend down, 5xx) go to the WEBHOOK_QUEUE
+// outbox and are retried by queue(): 30s, 1m, 2m, ... then hourly
+const DELIVERY_RETRY_BASE_SECONDS = 30;
+const DELIVERY_RETRY_MAX_SECONDS = 3600;
+// Besides 5xx: expired/unauthorized (clock skew, secret rotation), timeout,
+// delivery still in progress on the backend, rate limited
+const RETRYABLE_STATUSES = [401, 408, 409, 429];
+
+// Max clock difference for a signed request (same as the backend's)
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Raw emails from institutions are kept in the EMAIL_ARCHIVE R2 bucket for
+// ARCHIVE_RETENTION_DAYS ([vars], 0 = don't archive), purged daily by scheduled()
+const DEFAULT_ARCHIVE_RETENTION_DAYS = 365;
+// Emails per /reparse call (each one can take a few AI calls)
+const REPARSE_MAX_PAGE_SIZE = 25;
+
+// ============================================
+// INSTITUTION PARSERS
+// ============================================
+//
+// Each institution can register its own parser in FINANCIAL_INSTITUTIONS.
+// Every field is optional - whatever is missing or doesn't match falls back
+// to GENERIC_PARSER:
+//
+//   typeRules            [{ type, subject: [...], body: [...] }] checked before AI.
+//                        Strings match as lowercase substrings, RegExps are tested.
+//   amountPatterns       RegExps capturing the amount ("1.500,00") in group 1;
+//                        the currency is detected from the whole match (US$/USD/u$s)
+//   counterpartyPatterns RegExps capturing the counterparty name in group 1
+//   referencePatterns    RegExps capturing the operation/reference ID in group 1
+//   accountPatterns      RegExps capturing the last 4 digits of the card/account
+//                        in group 1 (picks the account in the backend)
+//   promptHint           Extra context appended to the AI type detection prompt
+
+// Generic parser: used for institutions without their own parser, and as the
+// fallback for every field an institution parser couldn't extract.
+// Its typeRules run AFTER AI type detection (keyword fallback).
+const GENERIC_PARSER = {
+  typeRules: [
+    // MONEY IN (+) types
+    { type: 'transfer_received', subject: ['recibiste', 'te transfirieron', 'te enviaron', 'transferencia recibida'] },
+    { type: 'payment_received', subject: ['te pagaron', 'recibiste un pago', 'te depositaron', 'pago recibido'] },
+    { type: 'refund_received', subject: ['te devolvieron', 'reembolso'], body: ['devolución a tu favor'] },
+    { type: 'deposit', subject: ['ingreso', 'cargaste', 'acreditamos', 'cashback', 'bonificación', 'ganaste'] },
+    // MONEY OUT (-) types
+    { type: 'transfer_sent', subject: ['transferiste', 'enviaste', 'transferencia enviada', 'fue enviada'] },
+    { type: 'payment_sent', subject: ['pagaste', 'compraste', 'qr', 'suscripción', 'cobro automático', 'cuota', 'débito', 'pago enviado'] },
+    { type: 'refund_sent', subject: ['devolviste', 'reembolsaste'] },
+    { type: 'withdrawal', subject: ['retiro', 'extracción'], body: ['retiro'] },
+  ],
+  counterpartyPatterns: [
+    // "Le transferiste a Juan Pérez" or "Transferencia a Juan Pérez"
+    /(?:transferiste|enviaste|transferencia)\s+a\s+([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s]{1,30}?)(?:\s*\$|\s*por|\s*$|\s*\.)/i,
+    // "de Juan Pérez" or "a Juan Pérez" or "para Juan Pérez"
+    /(?:de|a|para)\s+([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s]{1,30}?)(?:\s*\$|\s*por|\s*$|\s*\.)/i,
+    // "Juan Pérez te transfirió"
+    /([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s]{1,30}?)\s+te\s+(?:transfirió|pagó|envió)/i,
+    // "Destinatario: Juan Pérez" or "Receptor: Juan Pérez"
+    /(?:destinatario|receptor|beneficiario)[:\s]+([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s]{1,30})/i,
+    // "Pagaste en Tienda XYZ" or "Compraste en Tienda XYZ"
+    /(?:pagaste|compraste)\s+en\s+([A-Za-zÀ-ÿ0-9][A-Za-zÀ-ÿ0-9\s]{1,30}?)(?=\s*(?:US\$|U\$S|USD|ARS|\$|con\s|por\s|\.|\n|$))/i,
+  ],
+  referencePatterns: [
+    /(?:operación|referencia|id|comprobante)[:\s#]*(\d{5,})/i,
+  ],
+  accountPatterns: [
+    // "tu tarjeta Visa terminada en 4321" / "cuenta finalizada en 4321"
+    /(?:terminad[ao]|finalizad[ao])\s+en\s+(\d{4})\b/i,
+    // "Tarjeta **** 4321" / "XXXX-4321"
+    /(?:\*{2,}|x{4})[\s-]*(\d{4})\b/i,
+  ],
+};
+
+const MERCADOPAGO_PARSER = {
+  counterpartyPatterns: [
+    // "Nombre y apellido: Maria Lourdes Montagner" (MP transfer emails)
+    /nombre\s+y\s+apellido[:\s*]+\*?([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s]{2,40}?)\*?(?:\s*Entidad|\s*$|\s*\n)/i,
+  ],
+  promptHint: 'QR payments, subscriptions and "cobro automático" debits are payment_sent. Cashback and "acreditamos" are deposit.',
+};
+
+const UALA_PARSER = {
+  typeRules: [
+    { type: 'transfer_received', subject: ['ingresó dinero a tu cuenta', 'recibiste una transferencia'] },
+    { type: 'transfer_sent', subject: ['enviaste dinero', 'transferencia enviada'] },
+    { type: 'payment_sent', subject: ['compra con tu tarjeta', 'pagaste con tu tarjeta'] },
+    { type: 'deposit', subject: ['cargaste dinero', 'rendimientos'] },
+  ],
+  amountPatterns: [
+    /(?:monto|importe)[:\s]*(?:US\$|U\$S|USD|ARS|\$)\s*([\d.]+(?:,\d{2})?)/i,
+  ],
+  counterpartyPatterns: [
+    // "Comercio: RAPPI*RESTAURANTES"
+    /comercio[:\s]+([A-Za-zÀ-ÿ0-9][A-Za-zÀ-ÿ0-9*\s.]{1,40}?)(?=\s*(?:\n|monto|importe|fecha|\$|$))/im,
+    // "Remitente: Juan Pérez"
+    /remitente[:\s]+([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s]{1,40}?)(?=\s*(?:\n|cuit|cuil|cvu|cbu|monto|importe|$))/im,
+  ],
+};
+
+const BRUBANK_PARSER = {
+  typeRules: [
+    { type: 'transfer_received', subject: ['te enviaron plata', 'te llegó plata'] },
+    { type: 'transfer_sent', subject: ['enviaste plata'] },
+    { type: 'payment_sent', subject: ['compraste con tu tarjeta', 'compra aprobada'] },
+  ],
+  counterpartyPatterns: [
+    // "Enviaste plata a Juan Pérez"
+    /enviaste\s+plata\s+a\s+([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s]{1,40}?)(?=\s*(?:\n|\$|por|\.|$))/im,
+  ],
+  referencePatterns: [
+    /c[óo]digo de (?:operaci[óo]n|transferencia)[:\s#]*(\d{5,})/i,
+  ],
+};
+
+const GALICIA_PARSER = {
+  typeRules: [
+    { type: 'transfer_received', subject: ['transferencia recibida'], body: ['recibiste una transferencia'] },
+    { type: 'transfer_sent', subject: ['transferencia realizada', 'comprobante de transferencia'] },
+    { type: 'payment_sent', subject: ['consumo con tu tarjeta', 'débito automático', 'pago de servicios'] },
+    { type: 'withdrawal', subject: ['extracción'] },
+  ],
+  amountPatterns: [
+    /importe[:\s]*(?:US\$|U\$S|USD|ARS|\$)\s*([\d.]+(?:,\d{2})?)/i,
+  ],
+  counterpartyPatterns: [
+    // "Ordenante: Juan Pérez" (received) / "Destinatario: Juan Pérez" (sent)
+    /(?:ordenante|destinatario)[:\s]+([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s.]{1,40}?)(?=\s*(?:\n|cuit|cuil|cbu|cvu|importe|$))/im,
+    // "Comercio: SUPERMERCADO DIA"
+    /comercio[:\s]+([A-Za-zÀ-ÿ0-9][A-Za-zÀ-ÿ0-9*\s.]{1,40}?)(?=\s*(?:\n|importe|fecha|$))/im,
+  ],
+  referencePatterns: [
+    /n[úu]mero de (?:operaci[óo]n|comprobante)[:\s#]*(\d{5,})/i,
+  ],
+};
+
+const SANTANDER_PARSER = {
+  typeRules: [
+    { type: 'transfer_received', subject: ['aviso de transferencia recibida', 'recibiste una transferencia'] },
+    { type: 'transfer_sent', subject: ['comprobante de transferencia', 'transferencia realizada'] },
+    { type: 'payment_sent', subject: ['débito automático', 'pago de servicio', 'consumo'] },
+  ],
+  amountPatterns: [
+    /(?:importe|monto)[:\s]*(?:US\$|U\$S|USD|ARS|\$)\s*([\d.]+(?:,\d{2})?)/i,
+  ],
+  counterpartyPatterns: [
+    // "Titular cuenta destino: Juan Pérez" / "Titular cuenta origen: Juan Pérez"
+    /titular\s+(?:de\s+la\s+)?cuenta\s+(?:destino|origen)[:\s]+([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s.]{1,40}?)(?=\s*(?:\n|cuit|cuil|cbu|cvu|importe|monto|$))/im,
+    // "Empresa: Edesur"
+    /empresa[:\s]+([A-Za-zÀ-ÿ0-9][A-Za-zÀ-ÿ0-9\s.]{1,40}?)(?=\s*(?:\n|importe|monto|$))/im,
+  ],
+  referencePatterns: [
+    /nro\.?\s*de\s*comprobante[:\s#]*(\d{5,})/i,
+  ],
+};
+
+const BBVA_PARSER = {
+  typeRules: [
+    { type: 'transfer_received', subject: ['recibiste una transferencia'] },
+    { type: 'transfer_sent', subject: ['transferencia realizada', 'realizaste una transferencia'] },
+    { type: 'payment_sent', subject: ['consumo con tarjeta', 'pago realizado', 'débito automático'] },
+  ],
+  amountPatterns: [
+    /importe[:\s]*(?:US\$|U\$S|USD|ARS|\$)\s*([\d.]+(?:,\d{2})?)/i,
+  ],
+  counterpartyPatterns: [
+    // "Nombre del ordenante: Juan Pérez" / "Nombre del beneficiario: Juan Pérez"
+    /nombre\s+del\s+(?:ordenante|beneficiario)[:\s]+([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s.]{1,40}?)(?=\s*(?:\n|cuit|cuil|cbu|cvu|importe|$))/im,
+    // "Comercio: FARMACITY"
+    /comercio[:\s]+([A-Za-zÀ-ÿ0-9][A-Za-zÀ-ÿ0-9*\s.]{1,40}?)(?=\s*(?:\n|importe|fecha|$))/im,
+  ],
+  referencePatterns: [
+    /n[úu]mero de referencia[:\s#]*(\d{5,})/i,
+  ],
+};
 
 // ============================================
 // FINANCIAL INSTITUTIONS REGISTRY
@@ -30,18 +212,21 @@ const FINANCIAL_INSTITUTIONS = {
     type: 'fintech',
     transactionalDomains: ['info@mercadopago.com', 'info@mercadopago.com.ar'],
     marketingDomains: ['marketing@mercadopago.com', 'marketing@mercadopago.com.ar', 'promociones@mercadopago.com'],
+    parser: MERCADOPAGO_PARSER,
   },
   uala: {
     name: 'Ualá',
     type: 'fintech',
     transactionalDomains: ['@uala.com.ar', '@notificaciones.uala.com.ar'],
     marketingDomains: ['@marketing.uala.com.ar', '@promo.uala.com.ar'],
+    parser: UALA_PARSER,
   },
   brubank: {
     name: 'Brubank',
     type: 'fintech',
     transactionalDomains: ['@brubank.com.ar', '@notificaciones.brubank.com.ar'],
     marketingDomains: ['@marketing.brubank.com.ar'],
+    parser: BRUBANK_PARSER,
   },
   naranjax: {
     name: 'Naranja X',
@@ -62,18 +247,21 @@ const FINANCIAL_INSTITUTIONS = {
     type: 'bank',
     transactionalDomains: ['@bancogalicia.com.ar', '@e.bancogalicia.com.ar', '@notificaciones.bancogalicia.com.ar'],
     marketingDomains: ['@marketing.bancogalicia.com.ar', '@ofertas.bancogalicia.com.ar'],
+    parser: GALICIA_PARSER,
   },
   santander: {
     name: 'Banco Santander',
     type: 'bank',
     transactionalDomains: ['@santander.com.ar', '@email.santander.com.ar', '@notificaciones.santander.com.ar'],
     marketingDomains: ['@marketing.santander.com.ar', '@ofertas.santander.com.ar'],
+    parser: SANTANDER_PARSER,
   },
   bbva: {
     name: 'BBVA',
     type: 'bank',
     transactionalDomains: ['@bbva.com.ar', '@notificaciones.bbva.com.ar'],
     marketingDomains: ['@marketing.bbva.com.ar'],
+    parser: BBVA_PARSER,
   },
   nacion: {
     name: 'Banco Nación',
@@ -110,12 +298,32 @@ const PROMOTIONAL_KEYWORDS = [
   'recompensa', 'acumulá', 'canjeá', 'duplicá', 'triplicá'
 ];
 
+// Amount patterns per currency, checked in order (capture group 1 = amount)
+const DOLLAR_PREFIX = /US\$|U\$S|USD/i;
+const CURRENCY_AMOUNT_PATTERNS = {
+  USD: [
+    /(?:US\$|U\$S|USD)\s*([\d.]+(?:,\d{2})?)/gi, // US$ 10,00 or u$s 10 or USD 1.500
+  ],
+  ARS: [
+    /\$\s*([\d.]+(?:,\d{2})?)/g,   // $1.500 or $1.500,00
+    /ARS\s*([\d.]+(?:,\d{2})?)/gi, // ARS 1500
+  ],
+};
+
 // ============================================
 // EMAIL HANDLER
 // ============================================
 
+// Signed backend → worker endpoints served by fetch()
+const ARCHIVE_ROUTES = {
+  '/reparse': reparseArchivedEmails,
+  '/archive/delete': deleteArchivedEmails,
+};
+
 export default {
   async email(message, env, ctx) {
+    let archiveKey = null;
+
     try {
       // 1. Extract user ID from the "To" address
       const toAddress = message.to; // e.g., "user_123@jamty.xyz"
@@ -127,7 +335,7 @@ export default {
       }
 
       // 2. Get the raw email content
-      const rawEmail = await streamToString(message.raw);
+      const rawEmail = await streamToBinaryString(message.raw);
 
       // 3. Parse the email body
       const emailBody = extractEmailBody(rawEmail);
@@ -165,18 +373,11 @@ export default {
 
         // Send to backend for forwarding to user's actual email
         try {
-          const forwardResponse = await fetch(WEBHOOK_URL.replace('/webhook', '/forward-verification'), {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'X-Secret-Key': SECRET_KEY,
-            },
-            body: JSON.stringify({
-              userId,
-              subject: subject,
-              htmlBody: emailBody,
-              verificationLink,
-            }),
+          const forwardResponse = await postToBackend(env, '/forward-verification', {
+            userId,
+            subject: subject,
+            htmlBody: emailBody,
+            verificationLink,
           });
 
           if (forwardResponse.ok) {
@@ -204,20 +405,17 @@ export default {
         return; // Silently drop emails from unknown senders
       }
 
-      console.log(`🏦 Institution: ${institution.name} (${institution.type})`);
-      console.log(`📋 Subject: ${subject}`);
-      console.log(`📝 Body preview: ${emailBody.substring(0, 300).replace(/\s+/g, ' ')}`);
+      // Keep the raw email, so it can be parsed again after parser fixes
+      archiveKey = await archiveEmail(env, userId, rawEmail, from);
 
       // ====================================
-      // STEP 2: Classify Intent (Transaction vs Promotional)
+      // STEPS 2-3: Classify and Parse
       // ====================================
-      const intent = await classifyEmailIntent(env, institution, subject, emailBody.substring(0, 500));
+      const { attachmentText, emailText, intent, transaction } = await analyzeEmail(env, institution, { rawEmail, emailBody, subject });
 
       if (intent.type === 'promotional') {
-        console.log(`📣 Promotional email detected from ${institution.name} - skipping`);
-        console.log(`   Reason: ${intent.reason} (confidence: ${intent.confidence})`);
         // Optionally log promotional emails for analytics
-        await sendToBackend({
+        await sendToBackend(env, {
           userId,
           valid: true,
           isPromotional: true,
@@ -230,42 +428,49 @@ export default {
         return;
       }
 
-      console.log(`✅ Transaction email confirmed (${intent.confidence}: ${intent.reason})`);
-
-      // ====================================
-      // STEP 3: Parse and Normalize Transaction Data
-      // ====================================
-      const transaction = await parseTransaction(env, subject, emailBody);
-
       if (!transaction.amount || transaction.amount <= 0) {
-        console.log(`Could not extract amount from email`);
-        await sendToBackend({
+        await sendToBackend(env, {
           userId,
           valid: false,
           institution: institution.id,
           reason: 'parse_failed',
           subject,
-          bodyPreview: emailBody.substring(0, 500),
+          bodyPreview: emailText.substring(0, 500),
+          archiveKey,
         });
         return;
       }
 
-      // Categorize transaction using AI
-      const category = await categorizeWithAI(
-        env,
-        transaction.counterparty,
-        transaction.description,
-        subject,
-        transaction.type
-      );
-      console.log(`🏷️ AI Category: ${category}`);
+      // The user's rules and learned merchant categories win over the AI (and save the AI call)
+      const match = await matchCategorizationRule(env, userId, institution, transaction);
+      let category;
+
+      if (match) {
+        category = match.category;
+        if (match.type) {
+          transaction.type = match.type;
+        }
+        const matchLabel = match.source === 'rule' ? `Rule ${match.ruleId}` : `Merchant (${match.source})`;
+        console.log(`🧭 ${matchLabel}: ${category}${match.type ? ` (${match.type})` : ''}`);
+      } else {
+        // Categorize transaction using AI
+        category = await categorizeWithAI(
+          env,
+          transaction.counterparty,
+          transaction.description,
+          subject,
+          transaction.type
+        );
+        console.log(`🏷️ AI Category: ${category}`);
+      }
 
-      // Create unique email hash for duplicate detection
-      const emailFingerprint = subject + emailBody.substring(0, 200);
+      // Create unique email hash for duplicate detection (receipt emails share
+      // the same body, so the attachment text is part of the fingerprint)
+      const emailFingerprint = subject + emailBody.substring(0, 200) + attachmentText.substring(0, 500);
       const emailHash = await createHash(emailFingerprint);
 
       // Send to backend
-      await sendToBackend({
+      await sendToBackend(env, {
         userId,
         valid: true,
         type: transaction.type,
@@ -274,6 +479,9 @@ export default {
         counterparty: transaction.counterparty,
         description: transaction.description,
         referenceId: transaction.referenceId,
+        accountLast4: transaction.accountLast4,
+        counterpartyCuit: transaction.counterpartyCuit,
+        counterpartyCbu: transaction.counterpartyCbu,
         emailHash,
         category,
         institution: institution.id,
@@ -281,6 +489,7 @@ export default {
         institutionType: institution.type,
         subject,
         from,
+        archiveKey,
         receivedAt: new Date().toISOString(),
       });
 
@@ -291,18 +500,110 @@ export default {
 
       // Try to notify backend of the error
       try {
-        await sendToBackend({
+        await sendToBackend(env, {
+          userId: extractUserId(message.to),
           valid: false,
           reason: 'worker_error',
           error: error.message,
+          archiveKey,
         });
       } catch (e) {
         // Ignore secondary errors
       }
     }
-  }
+  },
+
+  // ====================================
+  // OUTBOX: retry failed /webhook deliveries
+  // ====================================
+  async queue(batch, env) {
+    for (const message of batch.messages) {
+      const delivery = message.body;
+      const result = await deliverToBackend(env, delivery);
+
+      if (result.ok) {
+        console.log(`✅ Delivery ${delivery.deliveryId} sent (retry ${message.attempts})`);
+        message.ack();
+      } else if (result.retryable) {
+        const delaySeconds = retryDelaySeconds(message.attempts + 1);
+        console.log(`⏳ Delivery ${delivery.deliveryId} failed (retry ${message.attempts}), next in ${delaySeconds}s: ${result.error}`);
+        message.retry({ delaySeconds });
+      } else {
+        // Rejected payload (e.g. unknown user): retrying won't change the answer
+        console.error(`❌ Delivery ${delivery.deliveryId} rejected: ${result.error}`);
+        message.ack();
+      }
+    }
+  },
+
+  // ====================================
+  // ARCHIVE: reprocessing and account deletion (called by the backend), retention
+  // ====================================
+  async fetch(request, env) {
+    const url = new URL(request.url);
+    const handler = request.method === 'POST' && ARCHIVE_ROUTES[url.pathname];
+    if (!handler) {
+      return Response.json({ error: 'Not found' }, { status: 404 });
+    }
+
+    const body = await request.text();
+    if (!(await isSignedByBackend(env, request.headers, body))) {
+      console.warn(`⚠️ Unsigned ${url.pathname} request`);
+      return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    try {
+      return Response.json(await handler(env, JSON.parse(body)));
+    } catch (error) {
+      console.error(`${url.pathname} error:`, error);
+      return Response.json({ error: error.message }, { status: 400 });
+    }
+  },
+
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(purgeEmailArchive(env));
+  },
 };
 
+/**
+ * Classify an institution's email and parse its transaction - the part of the
+ * pipeline email() and archive reprocessing (/reparse) share.
+ * Returns { attachmentText, emailText, intent, transaction } (transaction is
+ * null for promotional emails; amount 0 if it couldn't be parsed).
+ */
+async function analyzeEmail(env, institution, { rawEmail, emailBody, subject }) {
+  console.log(`🏦 Institution: ${institution.name} (${institution.type})`);
+  console.log(`📋 Subject: ${subject}`);
+
+  // Some banks only put the details in an attached PDF receipt ("Adjuntamos tu comprobante")
+  const attachmentText = await extractAttachmentsText(rawEmail);
+  const emailText = attachmentText ? `${emailBody}\n${attachmentText}` : emailBody;
+  if (attachmentText) {
+    console.log(`📎 PDF receipt text: ${attachmentText.length} chars`);
+  }
+
+  console.log(`📝 Body preview: ${emailText.substring(0, 300).replace(/\s+/g, ' ')}`);
+
+  // Classify Intent (Transaction vs Promotional)
+  const intent = await classifyEmailIntent(env, institution, subject, emailText.substring(0, 500));
+
+  if (intent.type === 'promotional') {
+    console.log(`📣 Promotional email detected from ${institution.name} - skipping`);
+    console.log(`   Reason: ${intent.reason} (confidence: ${intent.confidence})`);
+    return { attachmentText, emailText, intent, transaction: null };
+  }
+
+  console.log(`✅ Transaction email confirmed (${intent.confidence}: ${intent.reason})`);
+
+  // Parse and Normalize Transaction Data
+  const transaction = await parseTransaction(env, institution, subject, emailText);
+  if (!transaction.amount || transaction.amount <= 0) {
+    console.log(`Could not extract amount from email`);
+  }
+
+  return { attachmentText, emailText, intent, transaction };
+}
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
@@ -318,6 +619,18 @@ async function createHash(str) {
   return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
+/**
+ * Create hex HMAC-SHA256 of a string (for signing backend requests)
+ */
+async function createHmac(secret, str) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(str));
+  return Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
 /**
  * Handle Gmail forwarding verification emails
  * Extracts the confirmation code since link-clicking doesn't work (Google requires auth session)
@@ -412,102 +725,267 @@ function extractUserId(email) {
 }
 
 /**
- * Convert ReadableStream to string
+ * Read a ReadableStream as a binary string (one char per byte, 0-255).
+ * MIME structure is ASCII; each part's bytes are only decoded to text once
+ * its charset is known (decodeCharset).
  */
-async function streamToString(stream) {
+async function streamToBinaryString(stream, maxBytes = Infinity) {
   const reader = stream.getReader();
-  const decoder = new TextDecoder();
   let result = '';
 
   while (true) {
     const { done, value } = await reader.read();
     if (done) break;
-    result += decoder.decode(value, { stream: true });
+    if (result.length + value.length > maxBytes) {
+      await reader.cancel();
+      throw new StreamTooLargeError(maxBytes);
+    }
+    for (let i = 0; i < value.length; i += 8192) {
+      result += String.fromCharCode(...value.subarray(i, i + 8192));
+    }
   }
 
   return result;
 }
 
+class StreamTooLargeError extends Error {
+  constructor(maxBytes) {
+    super(`Stream is larger than ${maxBytes} bytes`);
+    this.name = 'StreamTooLargeError';
+  }
+}
+
+// ============================================
+// MIME DECODING
+// ============================================
+//
+// The raw email is a tree of entities (RFC 2045/2046): headers, a blank line,
+// then either a body or, for multipart/*, parts between "--boundary" lines,
+// each another entity. Bodies are transfer-decoded (base64 / quoted-printable)
+// to bytes, then decoded with their charset.
+
+// Nesting deeper than this is not a real bank email
+const MAX_MIME_DEPTH = 10;
+
+// windows-1252 differs from ISO-8859-1 only in 0x80-0x9F (“smart quotes”, €, …)
+const WINDOWS_1252_HIGH = [
+  0x20AC, 0x81, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8D, 0x017D, 0x8F,
+  0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x9D, 0x017E, 0x0178,
+];
+
 /**
- * Extract a header value from raw email
+ * Extract a header value from raw email (folded lines joined,
+ * RFC 2047 encoded-words decoded)
  */
 function extractHeader(rawEmail, headerName) {
-  const regex = new RegExp(`^${headerName}:\\s*(.+)$`, 'mi');
-  const match = rawEmail.match(regex);
-  return match ? match[1].trim() : null;
+  const { headers } = splitEntity(rawEmail);
+  return headers[headerName.toLowerCase()] ?? null;
 }
 
 /**
- * Extract email body from raw MIME content
- * Handles both plain text and HTML emails
+ * Split an entity into { headers: { lowercase name: decoded value }, body }.
+ * The first occurrence of a header wins.
  */
-function extractEmailBody(rawEmail) {
-  // Split headers from body (empty line separates them)
-  const parts = rawEmail.split(/\r?\n\r?\n/);
+function splitEntity(text) {
+  const separator = text.match(/\r?\n\r?\n/);
+  const headerText = separator ? text.slice(0, separator.index) : text;
+  const body = separator ? text.slice(separator.index + separator[0].length) : '';
+
+  const headers = {};
+  // Unfold: a line starting with whitespace continues the previous header
+  for (const line of headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!(name in headers)) {
+      headers[name] = decodeEncodedWords(decodeCharset(line.slice(colon + 1).trim()));
+    }
+  }
 
-  if (parts.length < 2) {
-    return rawEmail; // No clear separation, return as-is
+  return { headers, body };
+}
+
+/**
+ * "text/plain; charset=ISO-8859-1" → { type: 'text/plain', params: { charset: 'ISO-8859-1' } }
+ */
+function parseContentType(value) {
+  const [type, ...rest] = (value || 'text/plain').split(';');
+  const params = {};
+
+  for (const param of rest) {
+    const match = param.match(/^\s*([^=\s]+)\s*=\s*(?:"([^"]*)"|([^\s;]*))/);
+    if (match) params[match[1].toLowerCase()] = match[2] ?? match[3];
   }
 
-  // Get everything after headers
-  let body = parts.slice(1).join('\n\n');
+  return { type: type.trim().toLowerCase() || 'text/plain', params };
+}
+
+/**
+ * Parse an entity and its sub-parts into
+ * { type, params, disposition, encoding, body (raw), parts }
+ */
+function parseMimeEntity(text, depth = 0) {
+  const { headers, body } = splitEntity(text);
+  const { type, params } = parseContentType(headers['content-type']);
+
+  const disposition = parseContentType(headers['content-disposition'] || 'inline');
+
+  const entity = {
+    type,
+    params,
+    disposition: disposition.type,
+    filename: disposition.params.filename || params.name || null,
+    encoding: (headers['content-transfer-encoding'] || '7bit').trim().toLowerCase(),
+    body,
+    parts: [],
+  };
 
-  // If it's a multipart email, try to extract text/plain or text/html
-  const contentType = extractHeader(rawEmail, 'Content-Type') || '';
+  if (type.startsWith('multipart/') && params.boundary && depth < MAX_MIME_DEPTH) {
+    entity.parts = splitMultipart(body, params.boundary)
+      .map(part => parseMimeEntity(part, depth + 1));
+  }
 
-  if (contentType.includes('multipart')) {
-    // Extract boundary
-    const boundaryMatch = contentType.match(/boundary="?([^";\s]+)"?/);
-    if (boundaryMatch) {
-      const boundary = boundaryMatch[1];
-      const textPart = extractMimePart(body, boundary, 'text/plain');
-      const htmlPart = extractMimePart(body, boundary, 'text/html');
+  return entity;
+}
 
-      // Prefer plain text, fall back to HTML (stripped of tags)
-      if (textPart) {
-        body = textPart;
-      } else if (htmlPart) {
-        body = stripHtml(htmlPart);
-      }
+/**
+ * Body parts of a multipart body (preamble and epilogue dropped)
+ */
+function splitMultipart(body, boundary) {
+  const delimiter = '--' + boundary;
+  const parts = [];
+  let current = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    const trimmed = line.trimEnd();
+    if (trimmed === delimiter || trimmed === delimiter + '--') {
+      if (current) parts.push(current.join('\n'));
+      if (trimmed !== delimiter) return parts;
+      current = [];
+    } else if (current) {
+      current.push(line);
     }
   }
 
-  // Handle quoted-printable encoding
-  if (rawEmail.includes('Content-Transfer-Encoding: quoted-printable')) {
-    body = decodeQuotedPrintable(body);
-  }
+  // No closing delimiter (truncated email): keep what we have
+  if (current) parts.push(current.join('\n'));
+  return parts;
+}
 
-  // Handle base64 encoding
-  if (rawEmail.includes('Content-Transfer-Encoding: base64')) {
+/**
+ * Decode an entity's body to text: transfer encoding, then charset
+ */
+function decodeEntityBody(entity) {
+  return decodeCharset(decodeTransferEncoding(entity), entity.params.charset);
+}
+
+/**
+ * Undo an entity's Content-Transfer-Encoding → binary string
+ */
+function decodeTransferEncoding(entity) {
+  if (entity.encoding === 'base64') {
     try {
-      body = atob(body.replace(/\s/g, ''));
+      return atob(entity.body.replace(/[^A-Za-z0-9+/=]/g, ''));
     } catch (e) {
-      // Not valid base64, keep as-is
+      return entity.body; // Not valid base64, keep as-is
     }
   }
-
-  return body;
+  if (entity.encoding === 'quoted-printable') {
+    return decodeQuotedPrintable(entity.body);
+  }
+  return entity.body;
 }
 
 /**
- * Extract a specific MIME part from multipart email
+ * Decode a binary string with a charset. Without one (or an unknown one),
+ * UTF-8 if the bytes are valid UTF-8, else windows-1252.
  */
-function extractMimePart(body, boundary, contentType) {
-  const parts = body.split('--' + boundary);
+function decodeCharset(binary, charset) {
+  if (!/[\x80-\xff]/.test(binary)) return binary;
+
+  const name = (charset || '').trim().toLowerCase();
+
+  if (['iso-8859-1', 'iso8859-1', 'latin1', 'l1'].includes(name)) {
+    return binary;
+  }
+  if (['windows-1252', 'cp1252', 'x-cp1252'].includes(name)) {
+    return decodeWindows1252(binary);
+  }
+
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  if (name === 'utf-8' || name === 'utf8') {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
 
-  for (const part of parts) {
-    if (part.toLowerCase().includes(`content-type: ${contentType}`)) {
-      // Split this part's headers from its body
-      const subParts = part.split(/\r?\n\r?\n/);
-      if (subParts.length >= 2) {
-        return subParts.slice(1).join('\n\n').trim();
+  try {
+    return new TextDecoder(name || 'utf-8', { fatal: true }).decode(bytes);
+  } catch (e) {
+    // Unsupported label or not valid in it: most likely a mislabelled Latin-1 email
+    return decodeWindows1252(binary);
+  }
+}
+
+function decodeWindows1252(binary) {
+  return binary.replace(/[\x80-\x9f]/g, char => String.fromCharCode(WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80]));
+}
+
+/**
+ * Decode RFC 2047 encoded-words ("=?UTF-8?B?...?=", "=?ISO-8859-1?Q?...?=").
+ * Whitespace between two adjacent encoded-words is dropped.
+ */
+function decodeEncodedWords(value) {
+  return value
+    .replace(/(\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g, (word, charset, encoding, text) => {
+      try {
+        const bytes = encoding.toUpperCase() === 'B'
+          ? atob(text)
+          : text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+        // "UTF-8*es" (RFC 2231 language suffix)
+        return decodeCharset(bytes, charset.split('*')[0]);
+      } catch (e) {
+        return word;
       }
-    }
+    });
+}
+
+/**
+ * Extract the readable body of an email: the first text/plain part, else the
+ * first text/html part stripped of tags. Attachments are skipped.
+ */
+function extractEmailBody(rawEmail) {
+  if (!/\r?\n\r?\n/.test(rawEmail)) {
+    return decodeCharset(rawEmail); // No clear separation, return as-is
   }
 
-  return null;
+  const root = parseMimeEntity(rawEmail);
+  const found = {};
+
+  const walk = entity => {
+    if (entity.parts.length > 0) {
+      entity.parts.forEach(walk);
+    } else if (entity.disposition !== 'attachment' && ['text/plain', 'text/html'].includes(entity.type)) {
+      found[entity.type] = found[entity.type] ?? decodeEntityBody(entity);
+    }
+  };
+  walk(root);
+
+  // Prefer plain text, fall back to HTML (stripped of tags)
+  if (found['text/plain']?.trim()) return found['text/plain'];
+  if (found['text/html']) return stripHtml(found['text/html']);
+
+  // Single-part email of another type (or a broken multipart)
+  return root.parts.length > 0 ? '' : decodeEntityBody(root);
 }
 
+// Named entities banks use for Spanish text (numeric ones are decoded generically)
+const HTML_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  aacute: 'á', eacute: 'é', iacute: 'í', oacute: 'ó', uacute: 'ú', ntilde: 'ñ', uuml: 'ü',
+  Aacute: 'Á', Eacute: 'É', Iacute: 'Í', Oacute: 'Ó', Uacute: 'Ú', Ntilde: 'Ñ', Uuml: 'Ü',
+  iexcl: '¡', iquest: '¿', deg: '°', ordm: 'º', ordf: 'ª', euro: '€',
+};
+
 /**
  * Strip HTML tags from content
  */
@@ -516,19 +994,19 @@ function stripHtml(html) {
     .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
     .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
     .replace(/<[^>]+>/g, ' ')
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
+    .replace(/&#(\d+);/g, (entity, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (entity, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&([a-z]+);/gi, (entity, name) => HTML_ENTITIES[name] ?? entity)
     .replace(/\s+/g, ' ')
     .trim();
 }
 
 /**
- * Decode quoted-printable encoding
+ * Decode quoted-printable encoding (to a binary string, see decodeCharset)
  */
 function decodeQuotedPrintable(str) {
   return str
+    .replace(/[ \t]+(?=\r?\n)/g, '') // Trailing whitespace is transport padding
     .replace(/=\r?\n/g, '') // Remove soft line breaks
     .replace(/=([0-9A-F]{2})/gi, (_, hex) =>
       String.fromCharCode(parseInt(hex, 16))
@@ -558,11 +1036,11 @@ function identifyInstitution(from) {
     for (const domain of inst.transactionalDomains || []) {
       if (domain.startsWith('@')) {
         if (email.endsWith(domain)) {
-          return { id, name: inst.name, type: inst.type, isMarketing: false };
+          return { id, name: inst.name, type: inst.type, parser: inst.parser || null, isMarketing: false };
         }
       } else {
         if (email === domain) {
-          return { id, name: inst.name, type: inst.type, isMarketing: false };
+          return { id, name: inst.name, type: inst.type, parser: inst.parser || null, isMarketing: false };
         }
       }
     }
@@ -571,11 +1049,11 @@ function identifyInstitution(from) {
     for (const domain of inst.marketingDomains || []) {
       if (domain.startsWith('@')) {
         if (email.endsWith(domain)) {
-          return { id, name: inst.name, type: inst.type, isMarketing: true };
+          return { id, name: inst.name, type: inst.type, parser: inst.parser || null, isMarketing: true };
         }
       } else {
         if (email === domain) {
-          return { id, name: inst.name, type: inst.type, isMarketing: true };
+          return { id, name: inst.name, type: inst.type, parser: inst.parser || null, isMarketing: true };
         }
       }
     }
@@ -690,11 +1168,12 @@ const VALID_TRANSACTION_TYPES = [
  * Detect transaction type using Cloudflare Workers AI
  * Analyzes email subject and body to determine transaction type
  */
-async function detectTransactionTypeWithAI(env, subject, bodyPreview) {
+async function detectTransactionTypeWithAI(env, institution, subject, bodyPreview) {
   try {
     const context = `Subject: ${subject}\nBody: ${bodyPreview.substring(0, 300)}`;
+    const hint = institution.parser?.promptHint ? `\nNote: ${institution.parser.promptHint}\n` : '';
 
-    const prompt = `Analyze this Mercado Pago email and determine the transaction type.
+    const prompt = `Analyze this ${institution.name} email and determine the transaction type.
 
 Transaction Types:
 - transfer_received: Money received via transfer (keywords: recibiste, te transfirieron, te enviaron)
@@ -705,7 +1184,7 @@ Transaction Types:
 - withdrawal: Money withdrawn (keywords: retiro, extracción)
 - refund_received: Refund received (keywords: te devolvieron, reembolso recibido)
 - refund_sent: Refund sent (keywords: devolviste, reembolsaste)
-
+${hint}
 Email:
 ${context}
 
@@ -732,6 +1211,34 @@ Respond with ONLY the transaction type ID (e.g., "transfer_sent"), nothing else.
   }
 }
 
+/**
+ * Ask the backend for a deterministic category: the user's first matching rule,
+ * else a learned merchant category. Returns { source, ruleId, category, type }
+ * or null (falls back to AI).
+ */
+async function matchCategorizationRule(env, userId, institution, transaction) {
+  try {
+    const response = await postToBackend(env, '/match-rule', {
+      userId,
+      counterparty: transaction.counterparty,
+      description: transaction.description,
+      institution: institution.id,
+    });
+
+    if (!response.ok) {
+      console.log(`⚠️ Rule lookup failed (${response.status}), using AI`);
+      return null;
+    }
+
+    const { match } = await response.json();
+    return match || null;
+
+  } catch (error) {
+    console.log(`⚠️ Rule lookup error: ${error.message}, using AI`);
+    return null;
+  }
+}
+
 /**
  * Categorize transaction using Cloudflare Workers AI
  * Works for both income and expense transactions
@@ -791,9 +1298,11 @@ Respond with ONLY the category ID (e.g., "food-dining"), nothing else.`;
 
 /**
  * Parse transaction data from email content
- * Uses AI for type detection with keyword matching as fallback
+ * Order for the type: institution typeRules → AI → generic keyword matching.
+ * Amount, counterparty and reference try the institution's patterns first,
+ * then the generic ones.
  */
-async function parseTransaction(env, subject, body) {
+async function parseTransaction(env, institution, subject, body) {
   const result = {
     type: 'unknown',
     amount: 0,
@@ -801,106 +1310,185 @@ async function parseTransaction(env, subject, body) {
     counterparty: null,
     description: null,
     referenceId: null,
+    accountLast4: null,
+    counterpartyCuit: null,
+    counterpartyCbu: null,
   };
 
+  const parser = institution.parser || {};
   const subjectLower = subject.toLowerCase();
   const bodyLower = body.toLowerCase();
   const fullText = subject + ' ' + body;
 
-  // Try AI-based type detection first
-  const aiType = await detectTransactionTypeWithAI(env, subject, body.substring(0, 500));
+  // Institution-specific rules are deterministic, so they go before AI
+  const ruleType = matchTypeRules(parser.typeRules, subjectLower, bodyLower);
 
-  if (aiType) {
-    result.type = aiType;
+  if (ruleType) {
+    console.log(`📐 ${institution.name} rule matched type: ${ruleType}`);
+    result.type = ruleType;
   } else {
-    // Fallback to keyword matching if AI fails
-    console.log('⚠️ AI type detection failed, using keyword matching');
-
-    // MONEY IN (+) types
-    if (subjectLower.includes('recibiste') || subjectLower.includes('te transfirieron') || subjectLower.includes('te enviaron') || subjectLower.includes('transferencia recibida')) {
-      result.type = 'transfer_received';
-    } else if (subjectLower.includes('te pagaron') || subjectLower.includes('recibiste un pago') || subjectLower.includes('te depositaron') || subjectLower.includes('pago recibido')) {
-      result.type = 'payment_received';
-    } else if (subjectLower.includes('te devolvieron') || subjectLower.includes('reembolso') || bodyLower.includes('devolución a tu favor')) {
-      result.type = 'refund_received';
-    } else if (subjectLower.includes('ingreso') || subjectLower.includes('cargaste') || subjectLower.includes('acreditamos') || subjectLower.includes('cashback') || subjectLower.includes('bonificación') || subjectLower.includes('ganaste')) {
-      result.type = 'deposit';
-    }
-    // MONEY OUT (-) types
-    else if (subjectLower.includes('transferiste') || subjectLower.includes('enviaste') || subjectLower.includes('transferencia enviada') || subjectLower.includes('fue enviada')) {
-      result.type = 'transfer_sent';
-    } else if (subjectLower.includes('pagaste') || subjectLower.includes('compraste') || subjectLower.includes('qr') || subjectLower.includes('suscripción') || subjectLower.includes('cobro automático') || subjectLower.includes('cuota') || subjectLower.includes('débito') || subjectLower.includes('pago enviado')) {
-      result.type = 'payment_sent';
-    } else if (subjectLower.includes('devolviste') || subjectLower.includes('reembolsaste')) {
-      result.type = 'refund_sent';
-    } else if (subjectLower.includes('retiro') || bodyLower.includes('retiro') || subjectLower.includes('extracción')) {
-      result.type = 'withdrawal';
+    const aiType = await detectTransactionTypeWithAI(env, institution, subject, body.substring(0, 500));
+
+    if (aiType) {
+      result.type = aiType;
+    } else {
+      // Fallback to keyword matching if AI fails
+      console.log('⚠️ AI type detection failed, using keyword matching');
+      result.type = matchTypeRules(GENERIC_PARSER.typeRules, subjectLower, bodyLower) || 'unknown';
     }
   }
 
-  // Extract amount
-  result.amount = extractAmount(fullText);
+  // Extract amount (labeled amounts first - the generic scan picks the largest $ figure,
+  // which is wrong when the email also shows the account balance)
+  const { amount, currency } = extractLabeledAmount(fullText, parser.amountPatterns) || extractAmount(fullText);
+  result.amount = amount;
+  result.currency = currency;
 
-  // Extract counterparty name - improved patterns for MP emails
-  const counterpartyPatterns = [
-    // "Nombre y apellido: Maria Lourdes Montagner" (MP transfer emails)
-    /nombre\s+y\s+apellido[:\s*]+\*?([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s]{2,40}?)\*?(?:\s*Entidad|\s*$|\s*\n)/i,
-    // "Le transferiste a Juan Pérez" or "Transferencia a Juan Pérez"
-    /(?:transferiste|enviaste|transferencia)\s+a\s+([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s]{1,30}?)(?:\s*\$|\s*por|\s*$|\s*\.)/i,
-    // "de Juan Pérez" or "a Juan Pérez" or "para Juan Pérez"
-    /(?:de|a|para)\s+([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s]{1,30}?)(?:\s*\$|\s*por|\s*$|\s*\.)/i,
-    // "Juan Pérez te transfirió"
-    /([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s]{1,30}?)\s+te\s+(?:transfirió|pagó|envió)/i,
-    // "Destinatario: Juan Pérez" or "Receptor: Juan Pérez"
-    /(?:destinatario|receptor|beneficiario)[:\s]+([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ\s]{1,30})/i,
-    // "Pagaste en Tienda XYZ" or "Compraste en Tienda XYZ"
-    /(?:pagaste|compraste)\s+en\s+([A-Za-zÀ-ÿ0-9][A-Za-zÀ-ÿ0-9\s]{1,30})/i,
-  ];
-
-  for (const pattern of counterpartyPatterns) {
-    const match = fullText.match(pattern);
-    if (match && match[1].trim().length > 1) {
-      result.counterparty = match[1].trim();
-      break;
-    }
-  }
+  // Extract counterparty name
+  result.counterparty = extractFirstMatch(fullText, parser.counterpartyPatterns)
+    || extractFirstMatch(fullText, GENERIC_PARSER.counterpartyPatterns);
 
   // Extract reference/operation ID
-  const refMatch = fullText.match(/(?:operación|referencia|id|comprobante)[:\s#]*(\d{5,})/i);
-  if (refMatch) {
-    result.referenceId = refMatch[1];
-  }
+  result.referenceId = extractFirstMatch(fullText, parser.referencePatterns)
+    || extractFirstMatch(fullText, GENERIC_PARSER.referencePatterns);
+
+  // Card/account hint (last 4 digits)
+  result.accountLast4 = extractFirstMatch(fullText, parser.accountPatterns)
+    || extractFirstMatch(fullText, GENERIC_PARSER.accountPatterns);
+
+  // Counterparty's CUIT/CUIL and CBU/CVU (mostly found in PDF receipts)
+  Object.assign(result, extractCounterpartyIds(fullText, result.type, result.counterparty));
 
   // Log parsing details for debugging
-  console.log(`📊 Parsed: type=${result.type}, amount=${result.amount}, counterparty=${result.counterparty || 'N/A'}`);
+  console.log(`📊 Parsed: type=${result.type}, amount=${result.amount} ${result.currency}, counterparty=${result.counterparty || 'N/A'}`);
 
   return result;
 }
 
+// Labels for the counterparty's side of a receipt, by direction of the money
+// ("CBU destino" is the counterparty's when sending, the user's when receiving)
+const COUNTERPARTY_ROLES = {
+  out: 'destino|destinatario|beneficiario|receptor',
+  in: 'origen|ordenante|remitente|emisor',
+};
+
 /**
- * Extract amount from text
- * Handles Argentine formats: $1.500 or $1.500,00
+ * Extract { counterpartyCuit, counterpartyCbu } from role-labeled fields
+ * ("CUIT destino: 20-12345678-9", "CBU/CVU del ordenante: 0720...") or, failing
+ * that, from the lines right after the counterparty's name.
  */
-function extractAmount(text) {
-  // Look for peso amounts
-  const patterns = [
-    /\$\s*([\d.]+(?:,\d{2})?)/g,   // $1.500 or $1.500,00
-    /ARS\s*([\d.]+(?:,\d{2})?)/gi, // ARS 1500
-  ];
+function extractCounterpartyIds(text, type, counterparty) {
+  const direction = /_received$|^deposit$/.test(type) ? 'in' : /_sent$|^withdrawal$/.test(type) ? 'out' : null;
+  if (!direction) return { counterpartyCuit: null, counterpartyCbu: null };
+
+  const roles = COUNTERPARTY_ROLES[direction];
+  const cuitPattern = '(?:cuit|cuil)(?:\\s*/\\s*cui[lt])?';
+  const cbuPattern = '(?:cbu|cvu)(?:\\s*/\\s*(?:cbu|cvu))?';
+  const labeled = label => new RegExp(`${label}\\s*(?:de(?:l|\\s+la)?\\s+)?(?:cuenta\\s+)?(?:${roles})[:\\s]*([\\d-]{11,26})`, 'i');
+
+  let cuit = extractFirstMatch(text, [labeled(cuitPattern)]);
+  let cbu = extractFirstMatch(text, [labeled(cbuPattern)]);
+
+  // "Destinatario: Juan Pérez / CUIT: 20-12345678-9 / CBU: 0720..." - the ids after the name
+  const nameIndex = counterparty ? text.indexOf(counterparty) : -1;
+  if (nameIndex >= 0) {
+    const following = text.slice(nameIndex, nameIndex + counterparty.length + 150);
+    cuit = cuit || extractFirstMatch(following, [new RegExp(`${cuitPattern}[:\\s]*([\\d-]{11,13})`, 'i')]);
+    cbu = cbu || extractFirstMatch(following, [new RegExp(`${cbuPattern}[:\\s]*(\\d{22})`, 'i')]);
+  }
+
+  const cuitDigits = (cuit || '').replace(/\D/g, '');
+  const cbuDigits = (cbu || '').replace(/\D/g, '');
+
+  return {
+    counterpartyCuit: cuitDigits.length === 11
+      ? `${cuitDigits.slice(0, 2)}-${cuitDigits.slice(2, 10)}-${cuitDigits.slice(10)}`
+      : null,
+    counterpartyCbu: cbuDigits.length === 22 ? cbuDigits : null,
+  };
+}
 
-  let maxAmount = 0;
+/**
+ * Return the type of the first rule whose subject or body patterns match
+ */
+function matchTypeRules(rules, subjectLower, bodyLower) {
+  for (const rule of rules || []) {
+    if (matchesAny(subjectLower, rule.subject) || matchesAny(bodyLower, rule.body)) {
+      return rule.type;
+    }
+  }
+  return null;
+}
+
+/**
+ * Test text against a list of substrings and/or RegExps
+ */
+function matchesAny(text, patterns) {
+  return (patterns || []).some(pattern =>
+    pattern instanceof RegExp ? pattern.test(text) : text.includes(pattern)
+  );
+}
 
-  for (const pattern of patterns) {
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
+/**
+ * Return the trimmed first capture group of the first matching pattern
+ */
+function extractFirstMatch(text, patterns) {
+  for (const pattern of patterns || []) {
+    const match = text.match(pattern);
+    if (match && match[1] && match[1].trim().length > 1) {
+      return match[1].trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract { amount, currency } from the first matching labeled pattern ("Importe: $ 1.500,00")
+ */
+function extractLabeledAmount(text, patterns) {
+  for (const pattern of patterns || []) {
+    const match = text.match(pattern);
+    if (match) {
       const amount = parseArgentineAmount(match[1]);
-      if (amount > maxAmount) {
-        maxAmount = amount;
+      if (amount > 0) return { amount, currency: detectCurrency(match[0]) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract { amount, currency } from text
+ * Handles Argentine formats: $1.500 or $1.500,00, and dollar amounts (US$, USD, u$s).
+ * Dollar amounts win: USD card charges usually also show the peso equivalent.
+ */
+function extractAmount(text) {
+  for (const [currency, patterns] of Object.entries(CURRENCY_AMOUNT_PATTERNS)) {
+    let maxAmount = 0;
+
+    for (const pattern of patterns) {
+      const regex = new RegExp(pattern); // fresh copy, so lastIndex never leaks between calls
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        const amount = parseArgentineAmount(match[1]);
+        if (amount > maxAmount) {
+          maxAmount = amount;
+        }
       }
     }
+
+    if (maxAmount > 0) {
+      return { amount: maxAmount, currency };
+    }
   }
 
-  return maxAmount;
+  return { amount: 0, currency: 'ARS' };
+}
+
+/**
+ * Detect the currency of an amount string ("US$ 10,00" → USD, "$ 1.500" → ARS)
+ */
+function detectCurrency(str) {
+  return DOLLAR_PREFIX.test(str) ? 'USD' : 'ARS';
 }
 
 /**
@@ -924,22 +1512,802 @@ function parseArgentineAmount(str) {
 }
 
 /**
- * Send parsed data to backend webhook
+ * Send parsed data to backend webhook. Every payload gets a deliveryId the
+ * backend records, so a delivery retried from the outbox is applied once.
+ * If the backend can't take it now, it's queued instead of lost; only a
+ * rejected payload (4xx) throws.
  */
-async function sendToBackend(data) {
-  const response = await fetch(WEBHOOK_URL, {
+async function sendToBackend(env, data) {
+  const delivery = { deliveryId: crypto.randomUUID(), ...data };
+  const result = await deliverToBackend(env, delivery);
+
+  if (result.ok) return result.body;
+  if (!result.retryable) throw new Error(result.error);
+
+  if (!env.WEBHOOK_QUEUE) {
+    throw new Error(`${result.error} (no WEBHOOK_QUEUE binding to retry from)`);
+  }
+  await env.WEBHOOK_QUEUE.send(delivery, { delaySeconds: retryDelaySeconds(1) });
+  console.log(`📮 Delivery ${delivery.deliveryId} queued for retry: ${result.error}`);
+
+  return { status: 'queued', deliveryId: delivery.deliveryId };
+}
+
+/**
+ * One /webhook delivery attempt → { ok: true, body } or { ok: false, retryable, error }
+ */
+async function deliverToBackend(env, delivery) {
+  try {
+    const response = await postToBackend(env, '/webhook', delivery);
+    if (response.ok) {
+      return { ok: true, body: await response.json() };
+    }
+
+    return {
+      ok: false,
+      retryable: response.status >= 500 || RETRYABLE_STATUSES.includes(response.status),
+      error: `Backend responded with ${response.status}: ${await response.text()}`,
+    };
+  } catch (error) {
+    // Network error, or the worker isn't configured yet: worth retrying
+    return { ok: false, retryable: true, error: error.message };
+  }
+}
+
+/**
+ * Backoff before retry number `attempt` (1 = first retry)
+ */
+function retryDelaySeconds(attempt) {
+  return Math.min(DELIVERY_RETRY_BASE_SECONDS * 2 ** (attempt - 1), DELIVERY_RETRY_MAX_SECONDS);
+}
+
+/**
+ * POST a signed JSON body to a backend endpoint ('/webhook', '/match-rule', ...).
+ * X-Webhook-Signature is "v1=" + hex HMAC-SHA256 of "<timestamp>.<nonce>.<body>";
+ * the backend rejects stale timestamps and nonces it has already seen.
+ */
+async function postToBackend(env, path, data) {
+  if (!env.WEBHOOK_SECRET) {
+    throw new Error('WEBHOOK_SECRET is not configured (wrangler secret put WEBHOOK_SECRET)');
+  }
+
+  const body = JSON.stringify(data);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomUUID();
+  const signature = await createHmac(env.WEBHOOK_SECRET, `${timestamp}.${nonce}.${body}`);
+
+  return fetch((env.WEBHOOK_URL || DEFAULT_WEBHOOK_URL).replace(/\/webhook$/, path), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
-      'X-Secret-Key': SECRET_KEY,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Nonce': nonce,
+      'X-Webhook-Signature': `v1=${signature}`,
     },
-    body: JSON.stringify(data),
+    body,
+  });
+}
+
+
+// ============================================
+// PDF ATTACHMENTS (comprobantes)
+// ============================================
+//
+// Some banks send the receipt as a PDF attachment and keep the email body
+// generic ("Adjuntamos el comprobante de tu transferencia"). Only the text is
+// needed, so this is a minimal reader: objects (also inside object streams),
+// FlateDecode streams, fonts' ToUnicode CMaps and the text operators of each
+// page's content stream. Encrypted or scanned (image-only) PDFs yield no text.
+
+const MAX_PDF_ATTACHMENTS = 3;
+const MAX_PDF_SIZE = 2 * 1024 * 1024; // Receipts are a few KB
+// Deflate packs ~1000:1 at best: 2 MB could inflate to GBs. Only the streams
+// holding text are inflated, and at most this much per PDF.
+const MAX_PDF_INFLATED_SIZE = 8 * 1024 * 1024;
+
+// A TJ adjustment bigger than this (thousandths of an em) is a word gap
+const PDF_WORD_GAP = 180;
+
+/**
+ * Text of the email's PDF attachments ('' if there are none)
+ */
+async function extractAttachmentsText(rawEmail) {
+  const texts = [];
+
+  for (const pdf of extractPdfAttachments(rawEmail)) {
+    try {
+      const text = await extractPdfText(pdf);
+      if (text.trim()) texts.push(text);
+    } catch (error) {
+      console.log(`⚠️ Could not read PDF attachment: ${error.message}`);
+    }
+  }
+
+  return texts.join('\n\n');
+}
+
+/**
+ * PDF attachments of an email, transfer-decoded to binary strings
+ */
+function extractPdfAttachments(rawEmail) {
+  if (!/\r?\n\r?\n/.test(rawEmail)) return [];
+
+  const pdfs = [];
+  const walk = entity => {
+    if (entity.parts.length > 0) {
+      entity.parts.forEach(walk);
+      return;
+    }
+
+    // Some banks send receipts as application/octet-stream with a .pdf name
+    const isPdf = entity.type === 'application/pdf'
+      || (/^application\/(octet-stream|x-pdf)$/.test(entity.type) && /\.pdf$/i.test(entity.filename || ''));
+    if (!isPdf || pdfs.length >= MAX_PDF_ATTACHMENTS) return;
+
+    const pdf = decodeTransferEncoding(entity);
+    if (pdf.length > MAX_PDF_SIZE) {
+      console.log(`⚠️ Skipping PDF attachment ${entity.filename || ''} (${pdf.length} bytes)`);
+    } else if (pdf.slice(0, 1024).includes('%PDF-')) {
+      pdfs.push(pdf);
+    }
+  };
+  walk(parseMimeEntity(rawEmail));
+
+  return pdfs;
+}
+
+/**
+ * Extract the text of a PDF (binary string), one line per text line
+ */
+async function extractPdfText(pdf) {
+  const objects = await readPdfObjects(pdf);
+
+  const fontCache = new Map();
+  const loadFonts = fontDict => {
+    const fonts = new Map();
+    for (const [, name, ref] of (fontDict || '').matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+      if (!fontCache.has(ref)) fontCache.set(ref, loadPdfFont(objects, Number(ref)));
+      fonts.set(name, fontCache.get(ref));
+    }
+    return fonts;
+  };
+
+  // Pages without their own /Resources inherit them from the page tree:
+  // fall back to every font in the file
+  const allFonts = new Map();
+  for (const { dict } of objects.values()) {
+    for (const [name, font] of loadFonts(resolvePdfEntry(objects, pdfDictEntry(dict, 'Font')))) {
+      if (!allFonts.has(name)) allFonts.set(name, font);
+    }
+  }
+
+  const pages = [];
+  for (const { dict } of objects.values()) {
+    if (!/\/Type\s*\/Page(?![A-Za-z])/.test(dict)) continue;
+
+    const resources = resolvePdfEntry(objects, pdfDictEntry(dict, 'Resources'));
+    const fonts = resources ? loadFonts(resolvePdfEntry(objects, pdfDictEntry(resources, 'Font'))) : new Map();
+
+    const content = pdfContentRefs(dict).map(ref => objects.get(ref)?.stream || '').join('\n');
+
+    pages.push(extractContentText(content, fonts.size > 0 ? fonts : allFonts));
+  }
+
+  return pages.filter(Boolean).join('\n');
+}
+
+/**
+ * Object numbers of a page's content streams
+ */
+function pdfContentRefs(pageDict) {
+  const contents = pdfDictEntry(pageDict, 'Contents');
+  return contents?.ref !== undefined
+    ? [contents.ref]
+    : [...(contents?.value || '').matchAll(/(\d+)\s+\d+\s+R/g)].map(match => Number(match[1]));
+}
+
+/**
+ * Read every "n 0 obj" of a PDF into Map(number → { dict, raw, stream }), where
+ * dict is the object's text before "stream", raw its undecoded data and stream
+ * the decoded data (or null). Only object streams (/Type /ObjStm), page
+ * contents and ToUnicode CMaps are decoded: images and embedded fonts are
+ * never inflated. Objects inside object streams are added as well.
+ */
+async function readPdfObjects(pdf) {
+  const objects = new Map();
+  let inflateBudget = MAX_PDF_INFLATED_SIZE;
+  const decode = async object => {
+    if (object.raw === null || object.stream !== null) return;
+    object.stream = await decodePdfStream(object.dict, object.raw, inflateBudget);
+    inflateBudget -= object.stream?.length || 0;
+  };
+
+  const header = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+
+  while ((match = header.exec(pdf))) {
+    const end = /\bstream\r?\n|\bendobj\b/g;
+    end.lastIndex = header.lastIndex;
+    const found = end.exec(pdf);
+    if (!found) break;
+
+    const dict = pdf.slice(header.lastIndex, found.index);
+    let raw = null;
+    header.lastIndex = found.index + found[0].length;
+
+    if (found[0].startsWith('stream')) {
+      const dataStart = header.lastIndex;
+      // A direct /Length is trusted if "endstream" follows it; "/Length 9 0 R" is not resolved
+      const length = dict.match(/\/Length\s+(\d+)(?![\d\s]*R)/);
+      let dataEnd = length ? dataStart + Number(length[1]) : -1;
+
+      if (!length || !/^\s*endstream/.test(pdf.slice(dataEnd, dataEnd + 32))) {
+        dataEnd = pdf.indexOf('endstream', dataStart);
+        if (dataEnd < 0) break;
+        if (pdf[dataEnd - 1] === '\n') dataEnd--;
+        if (pdf[dataEnd - 1] === '\r') dataEnd--;
+      }
+
+      raw = pdf.slice(dataStart, dataEnd);
+      header.lastIndex = dataEnd;
+    }
+
+    // Incremental updates append newer versions of an object: the last one wins
+    objects.set(Number(match[1]), { dict, raw, stream: null });
+  }
+
+  for (const object of [...objects.values()]) {
+    if (!/\/Type\s*\/ObjStm\b/.test(object.dict)) continue;
+    await decode(object);
+
+    const { dict, stream } = object;
+    if (!stream) continue;
+
+    const count = Number(dict.match(/\/N\s+(\d+)/)?.[1] || 0);
+    const first = Number(dict.match(/\/First\s+(\d+)/)?.[1] || 0);
+    const offsets = stream.slice(0, first).trim().split(/\s+/).map(Number);
+
+    for (let k = 0; k < count; k++) {
+      const from = first + offsets[2 * k + 1];
+      const to = k + 1 < count ? first + offsets[2 * k + 3] : stream.length;
+      if (!objects.has(offsets[2 * k])) {
+        objects.set(offsets[2 * k], { dict: stream.slice(from, to), raw: null, stream: null });
+      }
+    }
+  }
+
+  const textStreams = new Set();
+  for (const { dict } of objects.values()) {
+    const toUnicode = pdfDictEntry(dict, 'ToUnicode');
+    if (toUnicode?.ref !== undefined) textStreams.add(toUnicode.ref);
+    if (/\/Type\s*\/Page(?![A-Za-z])/.test(dict)) pdfContentRefs(dict).forEach(ref => textStreams.add(ref));
+  }
+
+  for (const ref of textStreams) {
+    if (objects.has(ref)) await decode(objects.get(ref));
+  }
+
+  return objects;
+}
+
+/**
+ * Apply a stream's filters. Only FlateDecode (what PDF generators use for
+ * text) is supported; anything else → null. Throws StreamTooLargeError past
+ * maxBytes of output, which gives up on the whole PDF.
+ */
+async function decodePdfStream(dict, data, maxBytes) {
+  const filters = (dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || '').match(/\/\w+/g) || [];
+  let decoded = data;
+
+  for (const filter of filters) {
+    if (filter !== '/FlateDecode' && filter !== '/Fl') return null;
+    try {
+      const bytes = Uint8Array.from(decoded, char => char.charCodeAt(0));
+      decoded = await streamToBinaryString(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate')), maxBytes);
+    } catch (error) {
+      if (error instanceof StreamTooLargeError) throw error;
+      return null; // Corrupt or truncated stream
+    }
+  }
+
+  if (decoded.length > maxBytes) throw new StreamTooLargeError(maxBytes);
+  return decoded;
+}
+
+/**
+ * Raw value of /Key in a dictionary: { ref } for "n 0 R", else { value }
+ * with the nested "<< … >>", "[ … ]" or single token
+ */
+function pdfDictEntry(dict, key) {
+  const match = new RegExp(`/${key}(?![A-Za-z0-9])\\s*`).exec(dict || '');
+  if (!match) return null;
+
+  const rest = dict.slice(match.index + match[0].length);
+  const ref = rest.match(/^(\d+)\s+\d+\s+R\b/);
+  if (ref) return { ref: Number(ref[1]) };
+
+  if (rest.startsWith('<<')) {
+    let depth = 0;
+    for (let i = 0; i < rest.length; i++) {
+      if (rest.startsWith('<<', i)) {
+        depth++;
+        i++;
+      } else if (rest.startsWith('>>', i)) {
+        depth--;
+        i++;
+        if (depth === 0) return { value: rest.slice(0, i + 1) };
+      } else if (rest[i] === '<') {
+        i = rest.indexOf('>', i); // Hex string
+        if (i < 0) break;
+      }
+    }
+    return { value: rest };
+  }
+
+  if (rest.startsWith('[')) {
+    return { value: rest.slice(0, rest.indexOf(']') + 1 || rest.length) };
+  }
+
+  return { value: rest.match(/^\/?[^\s/<>[\]()]*/)[0] };
+}
+
+/**
+ * Follow an entry's reference to the object's text (or return the direct value)
+ */
+function resolvePdfEntry(objects, entry) {
+  if (!entry) return null;
+  return entry.ref !== undefined ? objects.get(entry.ref)?.dict ?? null : entry.value;
+}
+
+/**
+ * Font object → { cmap: Map(code → text) | null, codeLength: bytes per code }
+ */
+function loadPdfFont(objects, ref) {
+  const dict = objects.get(ref)?.dict || '';
+  const composite = /\/Subtype\s*\/Type0/.test(dict);
+  const toUnicode = pdfDictEntry(dict, 'ToUnicode');
+  const cmap = toUnicode?.ref !== undefined ? objects.get(toUnicode.ref)?.stream : null;
+
+  if (!cmap) return { cmap: null, codeLength: composite ? 2 : 1 };
+  return parseToUnicodeCMap(cmap, composite ? 2 : 1);
+}
+
+/**
+ * Parse the bfchar / bfrange mappings of a ToUnicode CMap
+ */
+function parseToUnicodeCMap(text, defaultCodeLength) {
+  const cmap = new Map();
+  const codespace = text.match(/begincodespacerange\s*<([0-9a-f]+)>/i);
+  const codeLength = codespace ? Math.ceil(codespace[1].length / 2) : defaultCodeLength;
+
+  for (const [, block] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, code, unicode] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+      cmap.set(parseInt(code, 16), utf16HexToString(unicode));
+    }
+  }
+
+  for (const [, block] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, target] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi)) {
+      const start = parseInt(low, 16);
+      const end = Math.min(parseInt(high, 16), start + 0xFFFF);
+
+      if (target.startsWith('[')) {
+        // One destination per code
+        [...target.matchAll(/<([0-9a-f]*)>/gi)].forEach(([, unicode], i) => {
+          if (start + i <= end) cmap.set(start + i, utf16HexToString(unicode));
+        });
+      } else {
+        // Consecutive codes map to consecutive characters (last one incremented)
+        const base = utf16HexToString(target.slice(1, -1));
+        const last = base.charCodeAt(base.length - 1);
+        for (let code = start; code <= end; code++) {
+          cmap.set(code, base.slice(0, -1) + String.fromCharCode(last + code - start));
+        }
+      }
+    }
+  }
+
+  return { cmap, codeLength };
+}
+
+function utf16HexToString(hex) {
+  const padded = hex.length % 4 === 2 ? '00' + hex : hex;
+  let text = '';
+  for (let i = 0; i + 4 <= padded.length; i += 4) {
+    text += String.fromCharCode(parseInt(padded.slice(i, i + 4), 16));
+  }
+  return text;
+}
+
+/**
+ * Decode a shown string with its font: through the ToUnicode CMap, else as
+ * WinAnsi (simple fonts) or raw UTF-16 codes (composite fonts)
+ */
+function decodePdfString(bytes, font) {
+  if (!font?.cmap) {
+    return font?.codeLength === 2
+      ? utf16HexToString([...bytes].map(char => char.charCodeAt(0).toString(16).padStart(2, '0')).join(''))
+      : decodeWindows1252(bytes);
+  }
+
+  let text = '';
+  for (let i = 0; i + font.codeLength <= bytes.length; i += font.codeLength) {
+    let code = 0;
+    for (let j = 0; j < font.codeLength; j++) code = code * 256 + bytes.charCodeAt(i + j);
+    text += font.cmap.get(code) ?? '';
+  }
+  return text;
+}
+
+/**
+ * Run a content stream's text operators (Tf, Tj, TJ, ', ", Td, TD, Tm, T*)
+ * and return its text. A change of baseline starts a new line; a move along
+ * the same baseline or a wide TJ gap becomes a space.
+ */
+function extractContentText(content, fonts) {
+  const lines = [];
+  let line = '';
+  let font = null;
+  let y = 0;
+  let lastY = null;
+  let moved = false;
+  let operands = [];
+  const arrays = [];
+
+  const breakLine = () => {
+    if (line.trim()) lines.push(line.trim());
+    line = '';
+    lastY = null;
+  };
+
+  const show = text => {
+    if (lastY !== null && Math.abs(y - lastY) > 1) {
+      breakLine();
+    } else if (moved && line && !/\s$/.test(line)) {
+      line += ' ';
+    }
+    line += text;
+    lastY = y;
+    moved = false;
+  };
+
+  const showArray = items => show(items.map(item => {
+    if (typeof item === 'number') return item < -PDF_WORD_GAP ? ' ' : '';
+    return item?.string !== undefined ? decodePdfString(item.string, font) : '';
+  }).join(''));
+
+  const run = (operator, args) => {
+    const last = args[args.length - 1];
+    switch (operator) {
+      case 'BT':
+        y = 0;
+        moved = true;
+        break;
+      case 'Tf':
+        font = fonts.get(args[0]?.name) || null;
+        break;
+      case 'Td':
+      case 'TD':
+        y += typeof args[1] === 'number' ? args[1] : 0;
+        moved = true;
+        break;
+      case 'Tm':
+        y = typeof args[5] === 'number' ? args[5] : y;
+        moved = true;
+        break;
+      case 'T*':
+        breakLine();
+        break;
+      case "'":
+      case '"':
+        breakLine();
+        if (last?.string !== undefined) show(decodePdfString(last.string, font));
+        break;
+      case 'Tj':
+        if (last?.string !== undefined) show(decodePdfString(last.string, font));
+        break;
+      case 'TJ':
+        if (Array.isArray(last)) showArray(last);
+        break;
+    }
+  };
+
+  const token = /\/?[^\s()<>[\]{}/%]+|\/(?=[\s()<>[\]{}/%]|$)/y;
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '%') {
+      const eol = content.slice(i).search(/[\r\n]/);
+      i = eol < 0 ? content.length : i + eol;
+    } else if (char === '(') {
+      const [string, end] = readPdfLiteralString(content, i);
+      operands.push({ string });
+      i = end;
+    } else if (char === '<' && content[i + 1] !== '<') {
+      const end = content.indexOf('>', i);
+      const hex = content.slice(i + 1, end < 0 ? content.length : end).replace(/[^0-9a-f]/gi, '');
+      operands.push({ string: (hex.length % 2 ? hex + '0' : hex).replace(/../g, pair => String.fromCharCode(parseInt(pair, 16))) });
+      i = end < 0 ? content.length : end + 1;
+    } else if (char === '[') {
+      arrays.push(operands);
+      operands = [];
+      i++;
+    } else if (char === ']') {
+      const array = operands;
+      operands = arrays.pop() || [];
+      operands.push(array);
+      i++;
+    } else if ('<>{})'.includes(char)) {
+      i++; // Dictionary delimiters (marked content properties) and stray parens
+    } else {
+      token.lastIndex = i;
+      const [word] = token.exec(content) || [char];
+      i += word.length;
+
+      if (word.startsWith('/')) {
+        operands.push({ name: word.slice(1) });
+      } else if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+        operands.push(Number(word));
+      } else if (word === 'ID') {
+        // Inline image data up to "EI"
+        const end = content.slice(i).search(/\sEI(?![^\s])/);
+        i = end < 0 ? content.length : i + end + 3;
+        operands = [];
+      } else {
+        run(word, operands);
+        operands = [];
+      }
+    }
+  }
+  breakLine();
+
+  return lines.join('\n');
+}
+
+/**
+ * Read a "( … )" string at index start → [binary string, index after it]
+ */
+function readPdfLiteralString(content, start) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  let depth = 0;
+  let text = '';
+
+  for (let i = start + 1; i < content.length; i++) {
+    const char = content[i];
+
+    if (char === '\\') {
+      const next = content[++i];
+      if (/[0-7]/.test(next)) {
+        const octal = content.slice(i, i + 3).match(/^[0-7]{1,3}/)[0];
+        text += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+        i += octal.length - 1;
+      } else if (next === '\r' || next === '\n') {
+        if (next === '\r' && content[i + 1] === '\n') i++; // Line continuation
+      } else {
+        text += escapes[next] ?? next ?? '';
+      }
+    } else if (char === '(') {
+      depth++;
+      text += char;
+    } else if (char === ')') {
+      if (depth === 0) return [text, i + 1];
+      depth--;
+      text += char;
+    } else {
+      text += char;
+    }
+  }
+
+  return [text, content.length];
+}
+
+// ============================================
+// EMAIL ARCHIVE
+// ============================================
+//
+// Keys are "<userId>/<received at, ISO>-<random>.eml", so a user's emails
+// list in the order they arrived. The envelope sender is kept as metadata:
+// institutions are identified by it, not by the From header.
+
+/**
+ * Store a raw email in the archive → its key (null if archiving is off or failed:
+ * the email is still processed)
+ */
+async function archiveEmail(env, userId, rawEmail, from) {
+  if (!env.EMAIL_ARCHIVE || archiveRetentionDays(env) === 0) return null;
+
+  const receivedAt = new Date().toISOString();
+  const key = `${userId}/${receivedAt}-${crypto.randomUUID().slice(0, 8)}.eml`;
+
+  try {
+    await env.EMAIL_ARCHIVE.put(key, Uint8Array.from(rawEmail, char => char.charCodeAt(0)), {
+      httpMetadata: { contentType: 'message/rfc822' },
+      customMetadata: { from, receivedAt },
+    });
+    return key;
+  } catch (error) {
+    console.log(`⚠️ Could not archive email: ${error.message}`);
+    return null;
+  }
+}
+
+function archiveRetentionDays(env) {
+  const days = parseInt(env.ARCHIVE_RETENTION_DAYS ?? DEFAULT_ARCHIVE_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_ARCHIVE_RETENTION_DAYS : days;
+}
+
+/**
+ * Parse a user's archived emails again with the current parser, oldest first.
+ * Request: { userId, from?, to? (ISO timestamps), cursor?, limit? }
+ * Returns { emails: [{ archiveKey, receivedAt, subject, institution, status, transaction }], cursor }
+ * where status is parsed, parse_failed, promotional or unknown_sender, and
+ * cursor (null on the last page) continues the listing.
+ */
+async function reparseArchivedEmails(env, { userId, from, to, cursor, limit }) {
+  if (!env.EMAIL_ARCHIVE) {
+    throw new Error('EMAIL_ARCHIVE is not configured');
+  }
+  if (typeof userId !== 'string' || !/^[a-z0-9]+$/i.test(userId)) {
+    throw new Error('userId is required');
+  }
+
+  const prefix = `${userId}/`;
+  const listed = await env.EMAIL_ARCHIVE.list({
+    prefix,
+    cursor: cursor || undefined,
+    startAfter: !cursor && from ? prefix + from : undefined,
+    limit: Math.min(Math.max(parseInt(limit, 10) || REPARSE_MAX_PAGE_SIZE, 1), REPARSE_MAX_PAGE_SIZE),
   });
 
-  if (!response.ok) {
-    throw new Error(`Backend responded with ${response.status}: ${await response.text()}`);
+  const emails = [];
+  let done = !listed.truncated;
+
+  for (const object of listed.objects) {
+    const keyTimestamp = object.key.slice(prefix.length).replace(/-[0-9a-f]+\.eml$/, '');
+    if (to && keyTimestamp > to) {
+      done = true;
+      break;
+    }
+
+    const stored = await env.EMAIL_ARCHIVE.get(object.key);
+    if (!stored) continue; // Purged since listing
+
+    const rawEmail = await streamToBinaryString(stored.body);
+    emails.push({
+      archiveKey: object.key,
+      receivedAt: stored.customMetadata?.receivedAt || keyTimestamp,
+      ...(await reparseEmail(env, rawEmail, stored.customMetadata?.from || '')),
+    });
   }
 
-  return response.json();
+  return { emails, cursor: done ? null : listed.cursor };
 }
 
+/**
+ * Run steps 1-3 of the pipeline on an archived email. Categories are left to
+ * the backend (the user may have changed them since).
+ */
+async function reparseEmail(env, rawEmail, from) {
+  const emailBody = extractEmailBody(rawEmail);
+  const subject = extractHeader(rawEmail, 'Subject') || '';
+  const institution = identifyInstitution(from);
+
+  if (!institution) {
+    return { subject, institution: null, status: 'unknown_sender', transaction: null };
+  }
+
+  const { intent, transaction } = await analyzeEmail(env, institution, { rawEmail, emailBody, subject });
+
+  if (intent.type === 'promotional') {
+    return { subject, institution: institution.id, status: 'promotional', transaction: null };
+  }
+  if (!transaction.amount || transaction.amount <= 0) {
+    return { subject, institution: institution.id, status: 'parse_failed', transaction: null };
+  }
+
+  return {
+    subject,
+    institution: institution.id,
+    status: 'parsed',
+    transaction: {
+      type: transaction.type,
+      amount: transaction.amount,
+      currency: transaction.currency || 'ARS',
+      counterparty: transaction.counterparty,
+      description: transaction.description,
+      referenceId: transaction.referenceId,
+      accountLast4: transaction.accountLast4,
+      counterpartyCuit: transaction.counterpartyCuit,
+      counterpartyCbu: transaction.counterpartyCbu,
+    },
+  };
+}
+
+/**
+ * Delete every archived email of a user (account deletion). Returns { deleted }
+ */
+async function deleteArchivedEmails(env, { userId }) {
+  if (!env.EMAIL_ARCHIVE) {
+    throw new Error('EMAIL_ARCHIVE is not configured');
+  }
+  if (typeof userId !== 'string' || !/^[a-z0-9]+$/i.test(userId)) {
+    throw new Error('userId is required');
+  }
+
+  let cursor;
+  let deleted = 0;
+
+  do {
+    const listed = await env.EMAIL_ARCHIVE.list({ prefix: `${userId}/`, cursor, limit: 1000 });
+    const keys = listed.objects.map(object => object.key);
+
+    if (keys.length > 0) {
+      await env.EMAIL_ARCHIVE.delete(keys);
+      deleted += keys.length;
+    }
+    cursor = listed.truncated ? listed.cursor : undefined;
+  } while (cursor);
+
+  console.log(`🗑️ Archive deleted for user ${userId}: ${deleted} emails`);
+  return { deleted };
+}
+
+/**
+ * Delete archived emails older than the retention period (daily cron)
+ */
+async function purgeEmailArchive(env) {
+  const days = archiveRetentionDays(env);
+  if (!env.EMAIL_ARCHIVE || days === 0) return;
+
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  let cursor;
+  let purged = 0;
+
+  do {
+    const listed = await env.EMAIL_ARCHIVE.list({ cursor, limit: 1000 });
+    const expired = listed.objects
+      .filter(object => object.uploaded.getTime() < cutoff)
+      .map(object => object.key);
+
+    if (expired.length > 0) {
+      await env.EMAIL_ARCHIVE.delete(expired);
+      purged += expired.length;
+    }
+    cursor = listed.truncated ? listed.cursor : undefined;
+  } while (cursor);
+
+  console.log(`🗑️ Archive purge: ${purged} emails older than ${days} days deleted`);
+}
+
+/**
+ * Check a backend → worker request, signed like postToBackend's requests with
+ * WEBHOOK_SECRET (or WEBHOOK_SECRET_PREVIOUS while rotating). A replayed
+ * /reparse or /archive/delete changes nothing, so the timestamp window is
+ * enough (no nonce store on this side).
+ */
+async function isSignedByBackend(env, headers, body) {
+  const timestamp = headers.get('X-Webhook-Timestamp') || '';
+  const nonce = headers.get('X-Webhook-Nonce') || '';
+  const signature = headers.get('X-Webhook-Signature') || '';
+
+  if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  for (const secret of [env.WEBHOOK_SECRET, env.WEBHOOK_SECRET_PREVIOUS].filter(Boolean)) {
+    const expected = `v1=${await createHmac(secret, `${timestamp}.${nonce}.${body}`)}`;
+    if (constantTimeEquals(signature, expected)) return true;
+  }
+  return false;
+}
+
+function constantTimeEquals(a, b) {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return difference === 0;
+}
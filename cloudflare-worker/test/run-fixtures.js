@@ -0,0 +1,311 @@
+/**
+ * Offline Regression Harness - replays .eml fixtures through the worker
+ *
+ * Every fixture is a pair of files under test/fixtures/<institution>/:
+ *   <name>.eml   Anonymized raw email (headers + MIME body, any charset)
+ *   <name>.json  { ai?, backend?, failures?, requests: [{ path, body }] }
+ *
+ * The runner feeds each .eml through the real `email()` handler with a stubbed
+ * `env.AI` and a captured `fetch`, then reports field-level diffs between the
+ * captured backend requests and the expected ones. Requests without a valid
+ * signature get a 401, like the real backend would answer. Deliveries the
+ * worker queues for retry are replayed through `queue()` right away.
+ *
+ * Usage:
+ *   node test/run-fixtures.js              Run all fixtures
+ *   node test/run-fixtures.js galicia      Only fixtures whose path contains "galicia"
+ *   node test/run-fixtures.js --update     Rewrite expected requests from actual output
+ *   node test/run-fixtures.js --verbose    Show worker logs
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import worker from '../src/index.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Expected values that can't be pinned (e.g. timestamps) use this placeholder
+const ANY = '<any>';
+
+// Worker env bindings the handler expects
+const WEBHOOK_SECRET = 'fixture-webhook-secret';
+const WEBHOOK_URL = 'https://backend.test/webhook';
+
+const args = process.argv.slice(2);
+const update = args.includes('--update');
+const verbose = args.includes('--verbose');
+const filter = args.find(arg => !arg.startsWith('--'));
+
+// ============================================
+// STUBS
+// ============================================
+
+/**
+ * Stubbed Workers AI binding
+ * Answers by prompt kind; fixtures can override each answer via `ai`.
+ * Empty answers by default, so the worker's keyword fallbacks are exercised.
+ */
+function createAIStub(answers = {}) {
+  return {
+    async run(model, { messages }) {
+      const prompt = messages[0].content;
+      if (prompt.startsWith('Classify this')) return { response: answers.classify || '' };
+      if (prompt.includes('determine the transaction type')) return { response: answers.type || '' };
+      if (prompt.startsWith('Categorize this')) return { response: answers.category || '' };
+      return { response: '' };
+    },
+  };
+}
+
+/**
+ * Replace global fetch with one that records every request and answers 200
+ * (401 if the request isn't signed with WEBHOOK_SECRET).
+ * Fixtures can set the response body per path via `backend`
+ * (e.g. { "/match-rule": { "match": {...} } }), and make the first N requests
+ * to a path fail with a 503 via `failures` (e.g. { "/webhook": 2 }).
+ */
+function captureFetch(responses = {}, failures = {}) {
+  const requests = [];
+  const originalFetch = globalThis.fetch;
+  const remainingFailures = { ...failures };
+
+  globalThis.fetch = async (url, init = {}) => {
+    const pathname = new URL(url).pathname;
+    requests.push({
+      path: pathname,
+      body: init.body ? JSON.parse(init.body) : null,
+    });
+
+    const headers = init.headers || {};
+    const expected = crypto.createHmac('sha256', WEBHOOK_SECRET)
+      .update(`${headers['X-Webhook-Timestamp']}.${headers['X-Webhook-Nonce']}.${init.body}`)
+      .digest('hex');
+    if (headers['X-Webhook-Signature'] !== `v1=${expected}`) {
+      return new Response(JSON.stringify({ error: 'Invalid webhook signature' }), { status: 401 });
+    }
+
+    if (remainingFailures[pathname] > 0) {
+      remainingFailures[pathname]--;
+      return new Response(JSON.stringify({ error: 'Service unavailable' }), { status: 503 });
+    }
+
+    return new Response(JSON.stringify(responses[pathname] || { status: 'success' }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  };
+
+  return {
+    requests,
+    restore: () => { globalThis.fetch = originalFetch; },
+  };
+}
+
+/**
+ * Local stand-in for the WEBHOOK_QUEUE binding (Cloudflare Queues):
+ * collects sent messages; drain() hands them to the worker's queue() handler
+ * until none are left to retry (delays are skipped)
+ */
+function createQueueStub() {
+  let pending = [];
+
+  return {
+    async send(body) {
+      // Queue messages are structured-cloned, not shared with the sender
+      pending.push({ body: structuredClone(body), attempts: 0 });
+    },
+
+    async drain(worker, env, maxAttempts = 10) {
+      while (pending.length > 0) {
+        const batch = pending.map(entry => ({ ...entry, attempts: entry.attempts + 1 }));
+        pending = [];
+
+        await worker.queue({
+          messages: batch.map(entry => ({
+            body: entry.body,
+            attempts: entry.attempts,
+            ack() {},
+            retry() {
+              if (entry.attempts < maxAttempts) pending.push(entry);
+            },
+          })),
+        }, env);
+      }
+    },
+  };
+}
+
+/**
+ * Local stand-in for the EMAIL_ARCHIVE binding (R2 bucket), in memory
+ */
+function createBucketStub() {
+  const objects = new Map();
+
+  return {
+    async put(key, value, { customMetadata } = {}) {
+      objects.set(key, { bytes: new Uint8Array(value), customMetadata, uploaded: new Date() });
+    },
+
+    async get(key) {
+      const object = objects.get(key);
+      return object ? { body: new Response(object.bytes).body, customMetadata: object.customMetadata } : null;
+    },
+
+    async list({ prefix = '', startAfter = '', limit = 1000 } = {}) {
+      const keys = [...objects.keys()].filter(key => key.startsWith(prefix) && key > startAfter).sort();
+      return {
+        objects: keys.slice(0, limit).map(key => ({ key, uploaded: objects.get(key).uploaded })),
+        truncated: keys.length > limit,
+        cursor: keys.length > limit ? keys[limit - 1] : undefined,
+      };
+    },
+
+    async delete(keys) {
+      [].concat(keys).forEach(key => objects.delete(key));
+    },
+  };
+}
+
+/**
+ * Build the EmailMessage the Email Routing runtime would hand the worker
+ */
+function createMessage(rawBytes) {
+  const headers = rawBytes.toString('latin1');
+  return {
+    from: envelopeAddress(headers, 'From'),
+    to: envelopeAddress(headers, 'To'),
+    raw: new Response(rawBytes).body,
+  };
+}
+
+function envelopeAddress(rawEmail, headerName) {
+  const match = rawEmail.match(new RegExp(`^${headerName}:\\s*(.+)$`, 'mi'));
+  if (!match) return '';
+  const address = match[1].match(/<([^>]+)>/);
+  return (address ? address[1] : match[1]).trim();
+}
+
+// ============================================
+// DIFFING
+// ============================================
+
+/**
+ * Compare two values recursively, returning ["path: expected X, got Y", ...]
+ */
+function diffValues(expected, actual, prefix = '') {
+  if (expected === ANY) {
+    return actual === undefined ? [`${prefix}: expected a value, got undefined`] : [];
+  }
+
+  const isObject = value => value !== null && typeof value === 'object';
+  if (isObject(expected) && isObject(actual)) {
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    return [...keys].flatMap(key =>
+      diffValues(expected[key], actual[key], prefix ? `${prefix}.${key}` : key)
+    );
+  }
+
+  if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+    return [`${prefix}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`];
+  }
+  return [];
+}
+
+/**
+ * Keep pinned placeholders from the old expectation when rewriting with --update
+ */
+function withPlaceholders(actual, previous) {
+  if (previous === ANY) return ANY;
+  if (actual && previous && typeof actual === 'object' && typeof previous === 'object') {
+    const result = Array.isArray(actual) ? [] : {};
+    for (const key of Object.keys(actual)) {
+      result[key] = withPlaceholders(actual[key], previous[key]);
+    }
+    return result;
+  }
+  return actual;
+}
+
+// ============================================
+// RUNNER
+// ============================================
+
+function findFixtures(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findFixtures(fullPath);
+    return entry.name.endsWith('.eml') ? [fullPath] : [];
+  }).sort();
+}
+
+async function runFixture(emlPath) {
+  const jsonPath = emlPath.replace(/\.eml$/, '.json');
+  const spec = fs.existsSync(jsonPath)
+    ? JSON.parse(fs.readFileSync(jsonPath, 'utf8'))
+    : { requests: [] };
+
+  // Bytes as-is: fixtures may use other charsets than UTF-8
+  const rawBytes = fs.readFileSync(emlPath);
+  const env = {
+    AI: createAIStub(spec.ai),
+    WEBHOOK_SECRET,
+    WEBHOOK_URL,
+    WEBHOOK_QUEUE: createQueueStub(),
+    EMAIL_ARCHIVE: createBucketStub(),
+  };
+  const capture = captureFetch(spec.backend, spec.failures);
+
+  const originalLog = console.log;
+  const originalError = console.error;
+  if (!verbose) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  try {
+    await worker.email(createMessage(rawBytes), env, { waitUntil: () => {} });
+    await env.WEBHOOK_QUEUE.drain(worker, env);
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+    capture.restore();
+  }
+
+  if (update) {
+    const updated = { ...spec, requests: withPlaceholders(capture.requests, spec.requests) };
+    fs.writeFileSync(jsonPath, JSON.stringify(updated, null, 2) + '\n');
+    return [];
+  }
+
+  return diffValues(spec.requests, capture.requests, 'requests');
+}
+
+async function main() {
+  const fixtures = findFixtures(FIXTURES_DIR)
+    .filter(file => !filter || path.relative(FIXTURES_DIR, file).includes(filter));
+
+  let failed = 0;
+
+  for (const fixture of fixtures) {
+    const name = path.relative(FIXTURES_DIR, fixture).replace(/\.eml$/, '');
+    const diffs = await runFixture(fixture);
+
+    if (diffs.length === 0) {
+      console.log(`${update ? '✏️  UPDATED' : '✅ PASS'}  ${name}`);
+    } else {
+      failed++;
+      console.log(`❌ FAIL  ${name}`);
+      for (const diff of diffs) {
+        console.log(`     ${diff}`);
+      }
+    }
+  }
+
+  console.log('');
+  console.log(`${fixtures.length - failed}/${fixtures.length} fixtures passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,102 @@
+/**
+ * Exchange Rate Loader
+ * Loads ARS exchange rates from a local CSV or JSON file into exchange_rates
+ *
+ * Usage: node load-exchange-rates.js <file>
+ *
+ * CSV:  date,currency,type,rate            (see src/db/exchange_rates.example.csv)
+ * JSON: [{ "date", "currency", "type", "rate" }, ...]
+ */
+
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const RATE_TYPES = ['official', 'mep', 'blue'];
+
+function parseRatesFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    return JSON.parse(content);
+  }
+
+  const [header, ...lines] = content.trim().split(/\r?\n/);
+  const columns = header.split(',').map(column => column.trim().toLowerCase());
+
+  return lines
+    .filter(line => line.trim())
+    .map(line => {
+      const values = line.split(',').map(value => value.trim());
+      return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+    });
+}
+
+function validateRate(row, index) {
+  const rate = parseFloat(row.rate);
+  const currency = (row.currency || '').toUpperCase();
+  const type = (row.type || '').toLowerCase();
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date || '')) {
+    throw new Error(`Row ${index + 1}: date must be YYYY-MM-DD`);
+  }
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    throw new Error(`Row ${index + 1}: currency must be a 3-letter code`);
+  }
+  if (!RATE_TYPES.includes(type)) {
+    throw new Error(`Row ${index + 1}: type must be one of ${RATE_TYPES.join(', ')}`);
+  }
+  if (isNaN(rate) || rate <= 0) {
+    throw new Error(`Row ${index + 1}: rate must be a positive number`);
+  }
+
+  return { date: row.date, currency, type, rate };
+}
+
+async function loadExchangeRates() {
+  const filePath = process.argv[2];
+  if (!filePath) {
+    console.error('Usage: node load-exchange-rates.js <rates.csv|rates.json>');
+    process.exit(1);
+  }
+
+  let rates;
+  try {
+    rates = parseRatesFile(filePath).map(validateRate);
+  } catch (error) {
+    console.error('❌ Invalid rates file:', error.message);
+    process.exit(1);
+  }
+
+  console.log(`💱 Loading ${rates.length} exchange rates from ${path.basename(filePath)}...`);
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+
+  try {
+    const client = await pool.connect();
+
+    for (const rate of rates) {
+      await client.query(
+        `INSERT INTO exchange_rates (currency, rate_type, rate, rate_date, source)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (currency, rate_type, rate_date)
+         DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source`,
+        [rate.currency, rate.type, rate.rate, rate.date, path.basename(filePath)]
+      );
+    }
+
+    console.log('✅ Exchange rates loaded!');
+    client.release();
+  } catch (error) {
+    console.error('❌ Loading rates failed:', error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+loadExchangeRates();
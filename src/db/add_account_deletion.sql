@@ -0,0 +1,56 @@
+-- =============================================
+-- Migration: Account deletion with a grace period
+-- =============================================
+--
+-- POST /api/profile/deletion schedules the deletion; the user can cancel
+-- it until deletion_scheduled_for. After that the backend's sweep calls
+-- delete_user_account(), which removes the user row (everything with a
+-- users(id) foreign key goes with it: transactions, accounts, balances,
+-- budgets, rules, sessions, ...) and the parsing failures, which are keyed
+-- by external_id and not reached by the cascade.
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_account_deletion.sql
+-- =============================================
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled
+ON users(deletion_scheduled_for)
+WHERE deletion_scheduled_for IS NOT NULL;
+
+-- Parsing failures are looked up by external_id when deleting an account
+CREATE INDEX IF NOT EXISTS idx_parsing_failures_user_id
+ON parsing_failures(user_id);
+
+-- Delete a user whose grace period is over, in one database transaction.
+-- Returns FALSE when there's nothing to delete (not found, cancelled, not due yet).
+CREATE OR REPLACE FUNCTION delete_user_account(p_user_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_external_id VARCHAR;
+BEGIN
+    -- The lock makes a concurrent cancel either win or wait for the delete
+    SELECT external_id INTO v_external_id
+    FROM users
+    WHERE id = p_user_id AND deletion_scheduled_for <= NOW()
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    DELETE FROM parsing_failures WHERE user_id = v_external_id;
+    DELETE FROM users WHERE id = p_user_id;
+
+    RETURN TRUE;
+END;
+$$;
+
+COMMENT ON COLUMN users.deletion_scheduled_for IS 'Account and all its data are deleted after this time (NULL = not scheduled)';
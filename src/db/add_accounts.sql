@@ -0,0 +1,226 @@
+-- =============================================
+-- Migration: Accounts (per-institution balances)
+-- =============================================
+--
+-- A user can have several accounts: one per institution and currency,
+-- optionally told apart by alias / last 4 digits (two Galicia cards).
+-- Each account keeps its own ledger balance (opening_balance + its
+-- transactions), maintained by the same trigger as user_balances.
+-- Opening balances also count towards user_balances, so the total is
+-- the sum of the accounts plus transactions without an account.
+--
+-- Requires add_ledger.sql.
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_accounts.sql
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS accounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    institution VARCHAR(50) NOT NULL,
+    alias VARCHAR(100),
+    last4 VARCHAR(4) CHECK (last4 ~ '^[0-9]{4}$'),
+    currency VARCHAR(3) NOT NULL DEFAULT 'ARS',
+    opening_balance DECIMAL(15,2) NOT NULL DEFAULT 0,
+    balance DECIMAL(15,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One account per institution + currency + last 4 digits (no digits counts as one)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_accounts_identity
+ON accounts(user_id, institution, currency, COALESCE(last4, ''));
+
+DROP TRIGGER IF EXISTS update_accounts_updated_at ON accounts;
+CREATE TRIGGER update_accounts_updated_at
+    BEFORE UPDATE ON accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS account_id UUID REFERENCES accounts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_account
+ON transactions(account_id)
+WHERE account_id IS NOT NULL;
+
+-- Atomically add p_change to an account's balance
+CREATE OR REPLACE FUNCTION apply_account_balance_change(p_account_id UUID, p_change NUMERIC)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF p_account_id IS NULL OR p_change = 0 THEN
+        RETURN;
+    END IF;
+
+    -- Not found = account being deleted (ON DELETE SET NULL), nothing to update
+    UPDATE accounts SET balance = balance + p_change WHERE id = p_account_id;
+END;
+$$;
+
+-- Same as add_ledger.sql, plus the account balances
+CREATE OR REPLACE FUNCTION apply_transaction_balance()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM apply_balance_change(
+            OLD.user_id,
+            COALESCE(OLD.currency, 'ARS'),
+            -transaction_balance_effect(OLD.type, OLD.amount)
+        );
+        PERFORM apply_account_balance_change(
+            OLD.account_id,
+            -transaction_balance_effect(OLD.type, OLD.amount)
+        );
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM apply_balance_change(
+            NEW.user_id,
+            COALESCE(NEW.currency, 'ARS'),
+            transaction_balance_effect(NEW.type, NEW.amount)
+        );
+        PERFORM apply_account_balance_change(
+            NEW.account_id,
+            transaction_balance_effect(NEW.type, NEW.amount)
+        );
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS transactions_apply_balance ON transactions;
+CREATE TRIGGER transactions_apply_balance
+    AFTER INSERT OR DELETE OR UPDATE OF type, amount, currency, user_id, account_id ON transactions
+    FOR EACH ROW
+    EXECUTE FUNCTION apply_transaction_balance();
+
+-- Opening balances: keep accounts.balance and user_balances in step
+CREATE OR REPLACE FUNCTION apply_account_opening_balance()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        NEW.balance := NEW.opening_balance;
+        PERFORM apply_balance_change(NEW.user_id, NEW.currency, NEW.opening_balance);
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        PERFORM apply_balance_change(OLD.user_id, OLD.currency, -OLD.opening_balance);
+        RETURN OLD;
+    END IF;
+
+    IF NEW.opening_balance <> OLD.opening_balance THEN
+        NEW.balance := NEW.balance + NEW.opening_balance - OLD.opening_balance;
+        PERFORM apply_balance_change(NEW.user_id, NEW.currency, NEW.opening_balance - OLD.opening_balance);
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS accounts_apply_opening_balance ON accounts;
+CREATE TRIGGER accounts_apply_opening_balance
+    BEFORE INSERT OR DELETE OR UPDATE OF opening_balance ON accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION apply_account_opening_balance();
+
+-- Same as add_ledger.sql, plus opening balances; also rebuilds
+-- accounts.balance. Returns one row per currency with the stored and
+-- recomputed user balance.
+CREATE OR REPLACE FUNCTION recompute_user_balances(p_user_id UUID)
+RETURNS TABLE (currency VARCHAR, stored_balance NUMERIC, computed_balance NUMERIC, drift NUMERIC)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+    -- Serialize with concurrent ledger writes for this user
+    PERFORM 1 FROM users WHERE id = p_user_id FOR UPDATE;
+
+    UPDATE accounts a
+    SET balance = a.opening_balance + COALESCE((
+        SELECT SUM(transaction_balance_effect(t.type, t.amount))
+        FROM transactions t
+        WHERE t.account_id = a.id
+    ), 0)
+    WHERE a.user_id = p_user_id;
+
+    RETURN QUERY
+    WITH effects AS (
+        SELECT COALESCE(t.currency, 'ARS')::VARCHAR AS currency,
+               transaction_balance_effect(t.type, t.amount) AS amount
+        FROM transactions t
+        WHERE t.user_id = p_user_id
+        UNION ALL
+        SELECT a.currency, a.opening_balance
+        FROM accounts a
+        WHERE a.user_id = p_user_id
+    ),
+    computed AS (
+        SELECT e.currency, SUM(e.amount) AS balance
+        FROM effects e
+        GROUP BY e.currency
+    ),
+    stored AS (
+        SELECT b.currency, b.balance
+        FROM user_balances b
+        WHERE b.user_id = p_user_id
+    ),
+    merged AS (
+        SELECT COALESCE(c.currency, s.currency) AS currency,
+               COALESCE(s.balance, 0) AS stored_balance,
+               COALESCE(c.balance, 0) AS computed_balance
+        FROM computed c
+        FULL OUTER JOIN stored s ON s.currency = c.currency
+    ),
+    written AS (
+        INSERT INTO user_balances AS b (user_id, currency, balance)
+        SELECT p_user_id, m.currency, m.computed_balance FROM merged m
+        ON CONFLICT (user_id, currency)
+        DO UPDATE SET balance = EXCLUDED.balance
+        RETURNING b.currency
+    )
+    SELECT m.currency, m.stored_balance, m.computed_balance, m.computed_balance - m.stored_balance
+    FROM merged m
+    WHERE m.currency IN (SELECT w.currency FROM written w)
+    ORDER BY m.currency;
+
+    UPDATE users u
+    SET balance = COALESCE((
+        SELECT SUM(transaction_balance_effect(t.type, t.amount))
+        FROM transactions t
+        WHERE t.user_id = p_user_id AND COALESCE(t.currency, 'ARS') = 'ARS'
+    ), 0) + COALESCE((
+        SELECT SUM(a.opening_balance)
+        FROM accounts a
+        WHERE a.user_id = p_user_id AND a.currency = 'ARS'
+    ), 0)
+    WHERE u.id = p_user_id;
+END;
+$$;
+
+-- Existing transactions: one account per institution and currency used so far
+INSERT INTO accounts (user_id, institution, currency)
+SELECT DISTINCT t.user_id, COALESCE(t.institution, 'mercadopago'), COALESCE(t.currency, 'ARS')
+FROM transactions t
+WHERE t.account_id IS NULL
+ON CONFLICT DO NOTHING;
+
+UPDATE transactions t
+SET account_id = a.id
+FROM accounts a
+WHERE t.account_id IS NULL
+  AND a.user_id = t.user_id
+  AND a.institution = COALESCE(t.institution, 'mercadopago')
+  AND a.currency = COALESCE(t.currency, 'ARS')
+  AND a.last4 IS NULL;
+
+COMMENT ON TABLE accounts IS 'Per-institution accounts; balance = opening_balance + transactions (maintained by triggers)';
+COMMENT ON COLUMN transactions.account_id IS 'Account the transaction belongs to (matched by institution, currency and last 4 digits)';
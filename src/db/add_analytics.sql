@@ -0,0 +1,120 @@
+-- =============================================
+-- Migration: Period analytics function
+-- =============================================
+--
+-- Aggregates a user's transactions for GET /api/analytics
+-- inside the database (called via supabase.rpc).
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_analytics.sql
+-- =============================================
+
+-- Transactions are bucketed by when they happened (received_at),
+-- falling back to created_at for rows without it. Figures are ARS:
+-- other currencies are left out instead of added at face value.
+CREATE INDEX IF NOT EXISTS idx_transactions_user_received
+ON transactions(user_id, received_at DESC);
+
+CREATE OR REPLACE FUNCTION get_transaction_analytics(
+    p_user_id UUID,
+    p_from TIMESTAMP WITH TIME ZONE,
+    p_to TIMESTAMP WITH TIME ZONE,
+    p_granularity TEXT DEFAULT 'day',
+    p_timezone TEXT DEFAULT 'America/Argentina/Buenos_Aires',
+    p_top_counterparties INTEGER DEFAULT 10
+)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+WITH tx AS (
+    SELECT
+        t.amount,
+        t.category,
+        COALESCE(t.institution, 'mercadopago') AS institution,
+        NULLIF(TRIM(t.counterparty), '') AS counterparty,
+        COALESCE(t.received_at, t.created_at) AS occurred_at,
+        CASE
+            WHEN t.type IN ('transfer_received', 'payment_received', 'deposit', 'refund_received') THEN 'in'
+            WHEN t.type IN ('transfer_sent', 'payment_sent', 'withdrawal', 'refund_sent') THEN 'out'
+            ELSE 'unknown'
+        END AS direction
+    FROM transactions t
+    WHERE t.user_id = p_user_id
+      AND COALESCE(t.currency, 'ARS') = 'ARS'
+      AND COALESCE(t.received_at, t.created_at) >= p_from
+      AND COALESCE(t.received_at, t.created_at) < p_to
+),
+buckets AS (
+    SELECT generate_series(
+        date_trunc(p_granularity, p_from AT TIME ZONE p_timezone),
+        (p_to AT TIME ZONE p_timezone) - INTERVAL '1 microsecond',
+        ('1 ' || p_granularity)::INTERVAL
+    ) AS bucket
+)
+SELECT jsonb_build_object(
+    'totals', (
+        SELECT jsonb_build_object(
+            'income', COALESCE(SUM(amount) FILTER (WHERE direction = 'in'), 0),
+            'expenses', COALESCE(SUM(amount) FILTER (WHERE direction = 'out'), 0),
+            'count', COUNT(*)
+        )
+        FROM tx
+    ),
+    'byCategory', COALESCE((
+        SELECT jsonb_agg(row_to_json(c) ORDER BY c.expenses DESC, c.income DESC)
+        FROM (
+            SELECT
+                category,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'in'), 0) AS income,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'out'), 0) AS expenses,
+                COUNT(*) AS count
+            FROM tx
+            GROUP BY category
+        ) c
+    ), '[]'::JSONB),
+    'byInstitution', COALESCE((
+        SELECT jsonb_agg(row_to_json(i) ORDER BY i.expenses DESC, i.income DESC)
+        FROM (
+            SELECT
+                institution,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'in'), 0) AS income,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'out'), 0) AS expenses,
+                COUNT(*) AS count
+            FROM tx
+            GROUP BY institution
+        ) i
+    ), '[]'::JSONB),
+    'byCounterparty', COALESCE((
+        SELECT jsonb_agg(row_to_json(p) ORDER BY p.expenses DESC, p.income DESC)
+        FROM (
+            SELECT
+                MIN(counterparty) AS counterparty,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'in'), 0) AS income,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'out'), 0) AS expenses,
+                COUNT(*) AS count
+            FROM tx
+            WHERE counterparty IS NOT NULL
+            GROUP BY LOWER(counterparty)
+            ORDER BY SUM(amount) DESC
+            LIMIT p_top_counterparties
+        ) p
+    ), '[]'::JSONB),
+    'series', COALESCE((
+        SELECT jsonb_agg(row_to_json(s) ORDER BY s.date)
+        FROM (
+            SELECT
+                to_char(b.bucket, 'YYYY-MM-DD') AS date,
+                COALESCE(SUM(tx.amount) FILTER (WHERE tx.direction = 'in'), 0) AS income,
+                COALESCE(SUM(tx.amount) FILTER (WHERE tx.direction = 'out'), 0) AS expenses,
+                COUNT(tx.amount) AS count
+            FROM buckets b
+            LEFT JOIN tx
+                ON date_trunc(p_granularity, tx.occurred_at AT TIME ZONE p_timezone) = b.bucket
+            GROUP BY b.bucket
+        ) s
+    ), '[]'::JSONB)
+);
+$$;
+
+COMMENT ON FUNCTION get_transaction_analytics IS 'Income/expense totals and breakdowns (category, institution, counterparty, time series) for GET /api/analytics (ARS transactions)';
@@ -0,0 +1,62 @@
+-- =============================================
+-- Migration: Category budgets and spending alerts
+-- =============================================
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_budgets.sql
+-- =============================================
+
+-- Monthly spending limit per category
+CREATE TABLE IF NOT EXISTS budgets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    category VARCHAR(50) NOT NULL,
+    monthly_limit DECIMAL(15,2) NOT NULL CHECK (monthly_limit > 0),
+    currency VARCHAR(3) DEFAULT 'ARS',
+    alerts_enabled BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, category)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budgets_user ON budgets(user_id);
+
+DROP TRIGGER IF EXISTS update_budgets_updated_at ON budgets;
+CREATE TRIGGER update_budgets_updated_at
+    BEFORE UPDATE ON budgets
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- One row per threshold crossed per month, so each alert email is sent once
+CREATE TABLE IF NOT EXISTS budget_alerts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    budget_id UUID NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+    period_month DATE NOT NULL,
+    threshold INTEGER NOT NULL,
+    spent DECIMAL(15,2),
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (budget_id, period_month, threshold)
+);
+
+-- ARS expense totals per category for a date range (money OUT types only;
+-- budgets are in ARS, so other currencies don't count)
+CREATE OR REPLACE FUNCTION get_category_spending(
+    p_user_id UUID,
+    p_from TIMESTAMP WITH TIME ZONE,
+    p_to TIMESTAMP WITH TIME ZONE
+)
+RETURNS TABLE (category VARCHAR, spent NUMERIC, count BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT t.category, SUM(t.amount), COUNT(*)
+    FROM transactions t
+    WHERE t.user_id = p_user_id
+      AND COALESCE(t.currency, 'ARS') = 'ARS'
+      AND t.category IS NOT NULL
+      AND t.type IN ('transfer_sent', 'payment_sent', 'withdrawal', 'refund_sent')
+      AND COALESCE(t.received_at, t.created_at) >= p_from
+      AND COALESCE(t.received_at, t.created_at) < p_to
+    GROUP BY t.category;
+$$;
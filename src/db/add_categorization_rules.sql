@@ -0,0 +1,37 @@
+-- =============================================
+-- Migration: User categorization rules
+-- =============================================
+--
+-- Deterministic per-user rules checked by the worker before
+-- the AI categorizer (POST /match-rule), and re-applicable to
+-- existing transactions (POST /api/rules/apply).
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_categorization_rules.sql
+-- =============================================
+
+-- All conditions set on a rule must match; the first matching rule
+-- (lowest priority, then oldest) wins
+CREATE TABLE IF NOT EXISTS categorization_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    counterparty_contains VARCHAR(255),       -- case-insensitive substring
+    description_matches VARCHAR(255),         -- case-insensitive wildcard (* any text, ? one character)
+    institution VARCHAR(50),                  -- exact institution id
+    category VARCHAR(50) NOT NULL,
+    type transaction_type,                    -- optional type override
+    priority INTEGER DEFAULT 100,
+    enabled BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (counterparty_contains IS NOT NULL OR description_matches IS NOT NULL OR institution IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_categorization_rules_user
+ON categorization_rules(user_id, priority, created_at);
+
+DROP TRIGGER IF EXISTS update_categorization_rules_updated_at ON categorization_rules;
+CREATE TRIGGER update_categorization_rules_updated_at
+    BEFORE UPDATE ON categorization_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
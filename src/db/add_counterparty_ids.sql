@@ -0,0 +1,24 @@
+-- =============================================
+-- Migration: Counterparty CUIT and CBU/CVU
+-- =============================================
+--
+-- Transfer receipts (the email body or its PDF "comprobante") name the
+-- counterparty's CUIT/CUIL and CBU/CVU; the worker extracts them and the
+-- webhook stores them next to the reference number.
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_counterparty_ids.sql
+-- =============================================
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS counterparty_cuit VARCHAR(13) CHECK (counterparty_cuit ~ '^[0-9]{2}-[0-9]{8}-[0-9]$');
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS counterparty_cbu VARCHAR(22) CHECK (counterparty_cbu ~ '^[0-9]{22}$');
+
+CREATE INDEX IF NOT EXISTS idx_transactions_counterparty_cuit
+ON transactions(user_id, counterparty_cuit)
+WHERE counterparty_cuit IS NOT NULL;
+
+COMMENT ON COLUMN transactions.counterparty_cuit IS 'Counterparty CUIT/CUIL (XX-XXXXXXXX-X), from the email or its PDF receipt';
+COMMENT ON COLUMN transactions.counterparty_cbu IS 'Counterparty CBU/CVU (22 digits), from the email or its PDF receipt';
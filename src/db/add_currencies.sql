@@ -0,0 +1,46 @@
+-- =============================================
+-- Migration: Multi-currency balances and exchange rates
+-- =============================================
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_currencies.sql
+--
+-- Load rates afterwards with:
+-- npm run rates:load -- path/to/rates.csv
+-- =============================================
+
+-- One balance per user per currency (users.balance keeps mirroring ARS)
+CREATE TABLE IF NOT EXISTS user_balances (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    currency VARCHAR(3) NOT NULL,
+    balance DECIMAL(15,2) NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, currency)
+);
+
+DROP TRIGGER IF EXISTS update_user_balances_updated_at ON user_balances;
+CREATE TRIGGER update_user_balances_updated_at
+    BEFORE UPDATE ON user_balances
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Existing balances were all booked as ARS
+INSERT INTO user_balances (user_id, currency, balance)
+SELECT id, 'ARS', COALESCE(balance, 0) FROM users
+ON CONFLICT (user_id, currency) DO NOTHING;
+
+-- Exchange rates: ARS per 1 unit of currency
+-- rate_type: official (BNA), mep (dólar bolsa), blue (informal)
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    currency VARCHAR(3) NOT NULL,
+    rate_type VARCHAR(20) NOT NULL CHECK (rate_type IN ('official', 'mep', 'blue')),
+    rate DECIMAL(15,4) NOT NULL CHECK (rate > 0),
+    rate_date DATE NOT NULL,
+    source VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (currency, rate_type, rate_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_latest
+ON exchange_rates(rate_type, currency, rate_date DESC);
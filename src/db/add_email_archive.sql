@@ -0,0 +1,42 @@
+-- =============================================
+-- Migration: Raw email archive and reprocessing
+-- =============================================
+--
+-- The worker keeps every incoming email in R2 (EMAIL_ARCHIVE) and sends
+-- its key along with the transaction or parsing failure. A reprocess run
+-- re-parses a period of archived emails with the current parser
+-- (POST /api/reprocess) and only writes the differences when applied
+-- (POST /api/reprocess/:id/apply).
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_email_archive.sql
+-- =============================================
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS email_archive_key VARCHAR(200);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_email_archive_key
+ON transactions(user_id, email_archive_key)
+WHERE email_archive_key IS NOT NULL;
+
+ALTER TABLE parsing_failures
+ADD COLUMN IF NOT EXISTS archive_key VARCHAR(200);
+
+CREATE TABLE IF NOT EXISTS email_reprocess_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'preview',   -- preview, applied, partial (apply stopped by an error or left rows out)
+    period_from TIMESTAMP WITH TIME ZONE,
+    period_to TIMESTAMP WITH TIME ZONE,
+    rows JSONB NOT NULL,                       -- one row per archived email with its update/create/unchanged/skipped decision
+    updated_count INTEGER DEFAULT 0,
+    created_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    applied_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_reprocess_runs_user
+ON email_reprocess_runs(user_id, created_at DESC);
+
+COMMENT ON COLUMN transactions.email_archive_key IS 'R2 key of the raw email the transaction was parsed from (EMAIL_ARCHIVE)';
+COMMENT ON COLUMN parsing_failures.archive_key IS 'R2 key of the raw email that failed to parse (EMAIL_ARCHIVE)';
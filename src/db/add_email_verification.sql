@@ -0,0 +1,41 @@
+-- =============================================
+-- Migration: Email verification and password reset
+-- =============================================
+--
+-- Signup sends a link to confirm users.email; until then the account
+-- gets no forwarded Gmail verification mail (/forward-verification).
+-- Verification and password reset links carry single-use tokens that
+-- expire; only their SHA-256 is stored.
+--
+-- Existing accounts start unverified: they can ask for a new link with
+-- POST /api/auth/verify-email/resend.
+--
+-- Requires add_sessions.sql (a reset revokes the user's sessions).
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_email_verification.sql
+-- =============================================
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS auth_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+    token_hash CHAR(64) NOT NULL,
+    email VARCHAR(255) NOT NULL,               -- address the link was sent to
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auth_tokens_hash
+ON auth_tokens(token_hash);
+
+-- Hourly send limit per user and purpose
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user
+ON auth_tokens(user_id, purpose, created_at DESC);
+
+COMMENT ON COLUMN users.email_verified_at IS 'When the user confirmed they own email (NULL = unverified)';
+COMMENT ON TABLE auth_tokens IS 'Single-use email verification and password reset tokens (hashed)';
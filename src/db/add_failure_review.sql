@@ -0,0 +1,22 @@
+-- =============================================
+-- Migration: Parsing failures review queue
+-- =============================================
+--
+-- Lets users review their parsing failures, dismiss them or turn
+-- them into transactions (linked back through transaction_id).
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_failure_review.sql
+-- =============================================
+
+ALTER TABLE parsing_failures
+ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE parsing_failures
+ADD COLUMN IF NOT EXISTS transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL;
+
+-- The review queue lists one user's failures (user_id = users.external_id)
+CREATE INDEX IF NOT EXISTS idx_parsing_failures_user
+ON parsing_failures(user_id, resolved, created_at DESC);
+
+COMMENT ON COLUMN parsing_failures.transaction_id IS 'Transaction created from this failure via POST /api/parsing-failures/:id/transaction';
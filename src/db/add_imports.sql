@@ -0,0 +1,33 @@
+-- =============================================
+-- Migration: Bank statement imports
+-- =============================================
+--
+-- An uploaded statement is parsed into a preview (POST /api/imports)
+-- and only inserted as transactions when committed
+-- (POST /api/imports/:id/commit).
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_imports.sql
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS statement_imports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    profile VARCHAR(50) NOT NULL,              -- column mapping used (galicia, santander, ...)
+    format VARCHAR(10) NOT NULL,               -- csv, xlsx, ofx
+    filename VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'preview',   -- preview, committed, partial (commit stopped by an error)
+    rows JSONB NOT NULL,                       -- parsed rows with their create/duplicate/invalid decision
+    created_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    committed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_statement_imports_user
+ON statement_imports(user_id, created_at DESC);
+
+-- Transactions created by an import point back to it (source = 'import')
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS import_id UUID REFERENCES statement_imports(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN transactions.source IS 'Origin of the transaction: email (via /webhook), manual (POST /api/transactions) or import (statement upload)';
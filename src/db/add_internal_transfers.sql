@@ -0,0 +1,205 @@
+-- =============================================
+-- Migration: Internal transfers between the user's own accounts
+-- =============================================
+--
+-- A transfer_sent at one institution and the matching transfer_received
+-- (or deposit) at another are paired by the backend and left out of
+-- income/expense figures: analytics, budgets, subscriptions, summary.
+--
+-- status: detected (paired automatically), confirmed (by the user),
+-- unlinked (the user said it's not a pair; kept so it isn't re-detected).
+-- transactions.internal_transfer_id points at the active pair only, and
+-- is kept in step by a trigger.
+--
+-- Requires add_analytics.sql and add_budgets.sql (both functions are
+-- redefined here).
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_internal_transfers.sql
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS internal_transfers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    sent_transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    received_transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'detected' CHECK (status IN ('detected', 'confirmed', 'unlinked')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (sent_transaction_id, received_transaction_id)
+);
+
+-- A transaction is in at most one active pair
+CREATE UNIQUE INDEX IF NOT EXISTS idx_internal_transfers_sent
+ON internal_transfers(sent_transaction_id)
+WHERE status <> 'unlinked';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_internal_transfers_received
+ON internal_transfers(received_transaction_id)
+WHERE status <> 'unlinked';
+
+CREATE INDEX IF NOT EXISTS idx_internal_transfers_user
+ON internal_transfers(user_id, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_internal_transfers_updated_at ON internal_transfers;
+CREATE TRIGGER update_internal_transfers_updated_at
+    BEFORE UPDATE ON internal_transfers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS internal_transfer_id UUID REFERENCES internal_transfers(id) ON DELETE SET NULL;
+
+-- Mark / unmark both transactions of a pair
+CREATE OR REPLACE FUNCTION apply_internal_transfer()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.status = 'unlinked' THEN
+        UPDATE transactions SET internal_transfer_id = NULL
+        WHERE internal_transfer_id = NEW.id;
+    ELSE
+        UPDATE transactions SET internal_transfer_id = NEW.id
+        WHERE id IN (NEW.sent_transaction_id, NEW.received_transaction_id);
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS internal_transfers_apply ON internal_transfers;
+CREATE TRIGGER internal_transfers_apply
+    AFTER INSERT OR UPDATE OF status ON internal_transfers
+    FOR EACH ROW
+    EXECUTE FUNCTION apply_internal_transfer();
+
+-- Same as add_budgets.sql, internal transfers excluded
+CREATE OR REPLACE FUNCTION get_category_spending(
+    p_user_id UUID,
+    p_from TIMESTAMP WITH TIME ZONE,
+    p_to TIMESTAMP WITH TIME ZONE
+)
+RETURNS TABLE (category VARCHAR, spent NUMERIC, count BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT t.category, SUM(t.amount), COUNT(*)
+    FROM transactions t
+    WHERE t.user_id = p_user_id
+      AND COALESCE(t.currency, 'ARS') = 'ARS'
+      AND t.category IS NOT NULL
+      AND t.internal_transfer_id IS NULL
+      AND t.type IN ('transfer_sent', 'payment_sent', 'withdrawal', 'refund_sent')
+      AND COALESCE(t.received_at, t.created_at) >= p_from
+      AND COALESCE(t.received_at, t.created_at) < p_to
+    GROUP BY t.category;
+$$;
+
+-- Same as add_analytics.sql, internal transfers excluded
+CREATE OR REPLACE FUNCTION get_transaction_analytics(
+    p_user_id UUID,
+    p_from TIMESTAMP WITH TIME ZONE,
+    p_to TIMESTAMP WITH TIME ZONE,
+    p_granularity TEXT DEFAULT 'day',
+    p_timezone TEXT DEFAULT 'America/Argentina/Buenos_Aires',
+    p_top_counterparties INTEGER DEFAULT 10
+)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+WITH tx AS (
+    SELECT
+        t.amount,
+        t.category,
+        COALESCE(t.institution, 'mercadopago') AS institution,
+        NULLIF(TRIM(t.counterparty), '') AS counterparty,
+        COALESCE(t.received_at, t.created_at) AS occurred_at,
+        CASE
+            WHEN t.type IN ('transfer_received', 'payment_received', 'deposit', 'refund_received') THEN 'in'
+            WHEN t.type IN ('transfer_sent', 'payment_sent', 'withdrawal', 'refund_sent') THEN 'out'
+            ELSE 'unknown'
+        END AS direction
+    FROM transactions t
+    WHERE t.user_id = p_user_id
+      AND COALESCE(t.currency, 'ARS') = 'ARS'
+      AND t.internal_transfer_id IS NULL
+      AND COALESCE(t.received_at, t.created_at) >= p_from
+      AND COALESCE(t.received_at, t.created_at) < p_to
+),
+buckets AS (
+    SELECT generate_series(
+        date_trunc(p_granularity, p_from AT TIME ZONE p_timezone),
+        (p_to AT TIME ZONE p_timezone) - INTERVAL '1 microsecond',
+        ('1 ' || p_granularity)::INTERVAL
+    ) AS bucket
+)
+SELECT jsonb_build_object(
+    'totals', (
+        SELECT jsonb_build_object(
+            'income', COALESCE(SUM(amount) FILTER (WHERE direction = 'in'), 0),
+            'expenses', COALESCE(SUM(amount) FILTER (WHERE direction = 'out'), 0),
+            'count', COUNT(*)
+        )
+        FROM tx
+    ),
+    'byCategory', COALESCE((
+        SELECT jsonb_agg(row_to_json(c) ORDER BY c.expenses DESC, c.income DESC)
+        FROM (
+            SELECT
+                category,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'in'), 0) AS income,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'out'), 0) AS expenses,
+                COUNT(*) AS count
+            FROM tx
+            GROUP BY category
+        ) c
+    ), '[]'::JSONB),
+    'byInstitution', COALESCE((
+        SELECT jsonb_agg(row_to_json(i) ORDER BY i.expenses DESC, i.income DESC)
+        FROM (
+            SELECT
+                institution,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'in'), 0) AS income,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'out'), 0) AS expenses,
+                COUNT(*) AS count
+            FROM tx
+            GROUP BY institution
+        ) i
+    ), '[]'::JSONB),
+    'byCounterparty', COALESCE((
+        SELECT jsonb_agg(row_to_json(p) ORDER BY p.expenses DESC, p.income DESC)
+        FROM (
+            SELECT
+                MIN(counterparty) AS counterparty,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'in'), 0) AS income,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'out'), 0) AS expenses,
+                COUNT(*) AS count
+            FROM tx
+            WHERE counterparty IS NOT NULL
+            GROUP BY LOWER(counterparty)
+            ORDER BY SUM(amount) DESC
+            LIMIT p_top_counterparties
+        ) p
+    ), '[]'::JSONB),
+    'series', COALESCE((
+        SELECT jsonb_agg(row_to_json(s) ORDER BY s.date)
+        FROM (
+            SELECT
+                to_char(b.bucket, 'YYYY-MM-DD') AS date,
+                COALESCE(SUM(tx.amount) FILTER (WHERE tx.direction = 'in'), 0) AS income,
+                COALESCE(SUM(tx.amount) FILTER (WHERE tx.direction = 'out'), 0) AS expenses,
+                COUNT(tx.amount) AS count
+            FROM buckets b
+            LEFT JOIN tx
+                ON date_trunc(p_granularity, tx.occurred_at AT TIME ZONE p_timezone) = b.bucket
+            GROUP BY b.bucket
+        ) s
+    ), '[]'::JSONB)
+);
+$$;
+
+COMMENT ON FUNCTION get_transaction_analytics IS 'Income/expense totals and breakdowns (category, institution, counterparty, time series) for GET /api/analytics (ARS transactions), internal transfers excluded';
+
+COMMENT ON TABLE internal_transfers IS 'Pairs of transactions moving money between the user''s own accounts';
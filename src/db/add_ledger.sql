@@ -0,0 +1,141 @@
+-- =============================================
+-- Migration: Race-free balance ledger
+-- =============================================
+--
+-- Balances are maintained by a trigger on transactions, so every
+-- INSERT / UPDATE / DELETE and its balance effect happen in the same
+-- database transaction, using atomic increments instead of the old
+-- read-modify-write from Node.
+--
+-- Requires add_currencies.sql (user_balances).
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_ledger.sql
+-- =============================================
+
+-- Signed balance effect of a transaction (mirrors calculateBalanceChange)
+CREATE OR REPLACE FUNCTION transaction_balance_effect(p_type transaction_type, p_amount NUMERIC)
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_type IN ('transfer_received', 'payment_received', 'deposit', 'refund_received') THEN p_amount
+        WHEN p_type IN ('transfer_sent', 'payment_sent', 'withdrawal', 'refund_sent') THEN -p_amount
+        ELSE 0
+    END;
+$$;
+
+-- Atomically add p_change to a user's balance in one currency
+-- (users.balance mirrors ARS for older clients)
+CREATE OR REPLACE FUNCTION apply_balance_change(p_user_id UUID, p_currency VARCHAR, p_change NUMERIC)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF p_change = 0 THEN
+        RETURN;
+    END IF;
+
+    -- Lock the user row: serializes ledger writes per user (and with
+    -- recompute_user_balances). Not found = user being deleted (ON DELETE
+    -- CASCADE of its transactions), nothing to update.
+    PERFORM 1 FROM users WHERE id = p_user_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO user_balances (user_id, currency, balance)
+    VALUES (p_user_id, p_currency, p_change)
+    ON CONFLICT (user_id, currency)
+    DO UPDATE SET balance = user_balances.balance + EXCLUDED.balance;
+
+    IF p_currency = 'ARS' THEN
+        UPDATE users SET balance = COALESCE(balance, 0) + p_change WHERE id = p_user_id;
+    END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION apply_transaction_balance()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM apply_balance_change(
+            OLD.user_id,
+            COALESCE(OLD.currency, 'ARS'),
+            -transaction_balance_effect(OLD.type, OLD.amount)
+        );
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM apply_balance_change(
+            NEW.user_id,
+            COALESCE(NEW.currency, 'ARS'),
+            transaction_balance_effect(NEW.type, NEW.amount)
+        );
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS transactions_apply_balance ON transactions;
+CREATE TRIGGER transactions_apply_balance
+    AFTER INSERT OR DELETE OR UPDATE OF type, amount, currency, user_id ON transactions
+    FOR EACH ROW
+    EXECUTE FUNCTION apply_transaction_balance();
+
+-- Rebuild a user's balances from the transactions ledger.
+-- Returns one row per currency with the stored and recomputed balance.
+CREATE OR REPLACE FUNCTION recompute_user_balances(p_user_id UUID)
+RETURNS TABLE (currency VARCHAR, stored_balance NUMERIC, computed_balance NUMERIC, drift NUMERIC)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+    -- Serialize with concurrent ledger writes for this user
+    PERFORM 1 FROM users WHERE id = p_user_id FOR UPDATE;
+
+    RETURN QUERY
+    WITH computed AS (
+        SELECT COALESCE(t.currency, 'ARS')::VARCHAR AS currency,
+               SUM(transaction_balance_effect(t.type, t.amount)) AS balance
+        FROM transactions t
+        WHERE t.user_id = p_user_id
+        GROUP BY COALESCE(t.currency, 'ARS')
+    ),
+    stored AS (
+        SELECT b.currency, b.balance
+        FROM user_balances b
+        WHERE b.user_id = p_user_id
+    ),
+    merged AS (
+        SELECT COALESCE(c.currency, s.currency) AS currency,
+               COALESCE(s.balance, 0) AS stored_balance,
+               COALESCE(c.balance, 0) AS computed_balance
+        FROM computed c
+        FULL OUTER JOIN stored s ON s.currency = c.currency
+    ),
+    written AS (
+        INSERT INTO user_balances AS b (user_id, currency, balance)
+        SELECT p_user_id, m.currency, m.computed_balance FROM merged m
+        ON CONFLICT (user_id, currency)
+        DO UPDATE SET balance = EXCLUDED.balance
+        RETURNING b.currency
+    )
+    SELECT m.currency, m.stored_balance, m.computed_balance, m.computed_balance - m.stored_balance
+    FROM merged m
+    WHERE m.currency IN (SELECT w.currency FROM written w)
+    ORDER BY m.currency;
+
+    UPDATE users u
+    SET balance = COALESCE((
+        SELECT SUM(transaction_balance_effect(t.type, t.amount))
+        FROM transactions t
+        WHERE t.user_id = p_user_id AND COALESCE(t.currency, 'ARS') = 'ARS'
+    ), 0)
+    WHERE u.id = p_user_id;
+END;
+$$;
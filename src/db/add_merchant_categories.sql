@@ -0,0 +1,59 @@
+-- =============================================
+-- Migration: Learned merchant categories
+-- =============================================
+--
+-- Remembers the category a user gave a counterparty when
+-- recategorizing (PATCH /api/transactions/:id), so the worker can
+-- reuse it instead of asking the AI (POST /match-rule).
+--
+-- Users who opt in (users.share_merchant_categories) contribute
+-- their mappings to, and get suggestions from, the global memory.
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_merchant_categories.sql
+-- =============================================
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS share_merchant_categories BOOLEAN DEFAULT FALSE;
+
+-- merchant_key is the normalized counterparty (see normalizeMerchant in the backend)
+CREATE TABLE IF NOT EXISTS merchant_categories (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    merchant_key VARCHAR(255) NOT NULL,
+    counterparty VARCHAR(255),                -- last raw counterparty, for display
+    category VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, merchant_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_merchant_categories_key
+ON merchant_categories(merchant_key);
+
+DROP TRIGGER IF EXISTS update_merchant_categories_updated_at ON merchant_categories;
+CREATE TRIGGER update_merchant_categories_updated_at
+    BEFORE UPDATE ON merchant_categories
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Most common category for a merchant among users who share their mappings.
+-- Only answers once p_min_users distinct users agree on it.
+CREATE OR REPLACE FUNCTION get_global_merchant_category(
+    p_merchant_key VARCHAR,
+    p_min_users INTEGER DEFAULT 3
+)
+RETURNS TABLE (category VARCHAR, users BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT m.category, COUNT(*) AS users
+    FROM merchant_categories m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.merchant_key = p_merchant_key
+      AND u.share_merchant_categories = TRUE
+    GROUP BY m.category
+    HAVING COUNT(*) >= p_min_users
+    ORDER BY COUNT(*) DESC, m.category
+    LIMIT 1;
+$$;
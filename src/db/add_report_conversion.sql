@@ -0,0 +1,194 @@
+-- =============================================
+-- Migration: Multi-currency analytics and budget spending
+-- =============================================
+--
+-- GET /api/analytics and budgets report in ARS. Until now they only
+-- counted ARS transactions; these versions convert other currencies with
+-- the latest exchange rate of p_rate_type (like /api/balance and
+-- /api/summary do) and also return native totals per currency.
+-- Transactions in a currency without a loaded rate are left out of the
+-- ARS figures and listed in missingRates / missing_rates.
+--
+-- Requires add_currencies.sql and add_internal_transfers.sql (both
+-- functions are redefined here with a new p_rate_type parameter).
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_report_conversion.sql
+-- =============================================
+
+-- The previous signatures would make calls without p_rate_type ambiguous
+DROP FUNCTION IF EXISTS get_category_spending(UUID, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE);
+DROP FUNCTION IF EXISTS get_transaction_analytics(UUID, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, TEXT, INTEGER);
+
+-- Latest ARS rate per currency for a rate type
+CREATE OR REPLACE FUNCTION get_latest_exchange_rates(p_rate_type TEXT)
+RETURNS TABLE (currency VARCHAR, rate NUMERIC)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT DISTINCT ON (r.currency) r.currency, r.rate
+    FROM exchange_rates r
+    WHERE r.rate_type = p_rate_type
+    ORDER BY r.currency, r.rate_date DESC;
+$$;
+
+-- Expenses per category in ARS (money OUT types only, internal transfers
+-- excluded). missing_rates: currencies of the category's expenses that
+-- couldn't be converted.
+CREATE OR REPLACE FUNCTION get_category_spending(
+    p_user_id UUID,
+    p_from TIMESTAMP WITH TIME ZONE,
+    p_to TIMESTAMP WITH TIME ZONE,
+    p_rate_type TEXT DEFAULT 'official'
+)
+RETURNS TABLE (category VARCHAR, spent NUMERIC, count BIGINT, missing_rates VARCHAR[])
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        t.category,
+        COALESCE(SUM(CASE WHEN COALESCE(t.currency, 'ARS') = 'ARS' THEN t.amount ELSE ROUND(t.amount * r.rate, 2) END), 0),
+        COUNT(*),
+        COALESCE(
+            ARRAY_AGG(DISTINCT t.currency) FILTER (WHERE COALESCE(t.currency, 'ARS') <> 'ARS' AND r.rate IS NULL),
+            '{}'
+        )
+    FROM transactions t
+    LEFT JOIN get_latest_exchange_rates(p_rate_type) r ON r.currency = t.currency
+    WHERE t.user_id = p_user_id
+      AND t.category IS NOT NULL
+      AND t.internal_transfer_id IS NULL
+      AND t.type IN ('transfer_sent', 'payment_sent', 'withdrawal', 'refund_sent')
+      AND COALESCE(t.received_at, t.created_at) >= p_from
+      AND COALESCE(t.received_at, t.created_at) < p_to
+    GROUP BY t.category;
+$$;
+
+-- Same as add_internal_transfers.sql, in ARS (converted) plus byCurrency
+-- (native amounts) and missingRates
+CREATE OR REPLACE FUNCTION get_transaction_analytics(
+    p_user_id UUID,
+    p_from TIMESTAMP WITH TIME ZONE,
+    p_to TIMESTAMP WITH TIME ZONE,
+    p_granularity TEXT DEFAULT 'day',
+    p_timezone TEXT DEFAULT 'America/Argentina/Buenos_Aires',
+    p_top_counterparties INTEGER DEFAULT 10,
+    p_rate_type TEXT DEFAULT 'official'
+)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+WITH tx AS (
+    SELECT
+        t.amount AS native_amount,
+        COALESCE(t.currency, 'ARS') AS currency,
+        -- NULL when there's no rate: SUM skips it
+        CASE WHEN COALESCE(t.currency, 'ARS') = 'ARS' THEN t.amount ELSE ROUND(t.amount * r.rate, 2) END AS amount,
+        t.category,
+        COALESCE(t.institution, 'mercadopago') AS institution,
+        NULLIF(TRIM(t.counterparty), '') AS counterparty,
+        COALESCE(t.received_at, t.created_at) AS occurred_at,
+        CASE
+            WHEN t.type IN ('transfer_received', 'payment_received', 'deposit', 'refund_received') THEN 'in'
+            WHEN t.type IN ('transfer_sent', 'payment_sent', 'withdrawal', 'refund_sent') THEN 'out'
+            ELSE 'unknown'
+        END AS direction
+    FROM transactions t
+    LEFT JOIN get_latest_exchange_rates(p_rate_type) r ON r.currency = t.currency
+    WHERE t.user_id = p_user_id
+      AND t.internal_transfer_id IS NULL
+      AND COALESCE(t.received_at, t.created_at) >= p_from
+      AND COALESCE(t.received_at, t.created_at) < p_to
+),
+buckets AS (
+    SELECT generate_series(
+        date_trunc(p_granularity, p_from AT TIME ZONE p_timezone),
+        (p_to AT TIME ZONE p_timezone) - INTERVAL '1 microsecond',
+        ('1 ' || p_granularity)::INTERVAL
+    ) AS bucket
+)
+SELECT jsonb_build_object(
+    'totals', (
+        SELECT jsonb_build_object(
+            'income', COALESCE(SUM(amount) FILTER (WHERE direction = 'in'), 0),
+            'expenses', COALESCE(SUM(amount) FILTER (WHERE direction = 'out'), 0),
+            'count', COUNT(*)
+        )
+        FROM tx
+    ),
+    'byCurrency', COALESCE((
+        SELECT jsonb_agg(row_to_json(c) ORDER BY c.currency <> 'ARS', c.currency)
+        FROM (
+            SELECT
+                currency,
+                COALESCE(SUM(native_amount) FILTER (WHERE direction = 'in'), 0) AS income,
+                COALESCE(SUM(native_amount) FILTER (WHERE direction = 'out'), 0) AS expenses,
+                COUNT(*) AS count
+            FROM tx
+            GROUP BY currency
+        ) c
+    ), '[]'::JSONB),
+    'missingRates', COALESCE((
+        SELECT jsonb_agg(DISTINCT currency)
+        FROM tx
+        WHERE amount IS NULL
+    ), '[]'::JSONB),
+    'byCategory', COALESCE((
+        SELECT jsonb_agg(row_to_json(c) ORDER BY c.expenses DESC, c.income DESC)
+        FROM (
+            SELECT
+                category,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'in'), 0) AS income,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'out'), 0) AS expenses,
+                COUNT(*) AS count
+            FROM tx
+            GROUP BY category
+        ) c
+    ), '[]'::JSONB),
+    'byInstitution', COALESCE((
+        SELECT jsonb_agg(row_to_json(i) ORDER BY i.expenses DESC, i.income DESC)
+        FROM (
+            SELECT
+                institution,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'in'), 0) AS income,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'out'), 0) AS expenses,
+                COUNT(*) AS count
+            FROM tx
+            GROUP BY institution
+        ) i
+    ), '[]'::JSONB),
+    'byCounterparty', COALESCE((
+        SELECT jsonb_agg(row_to_json(p) ORDER BY p.expenses DESC, p.income DESC)
+        FROM (
+            SELECT
+                MIN(counterparty) AS counterparty,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'in'), 0) AS income,
+                COALESCE(SUM(amount) FILTER (WHERE direction = 'out'), 0) AS expenses,
+                COUNT(*) AS count
+            FROM tx
+            WHERE counterparty IS NOT NULL
+            GROUP BY LOWER(counterparty)
+            ORDER BY SUM(amount) DESC NULLS LAST
+            LIMIT p_top_counterparties
+        ) p
+    ), '[]'::JSONB),
+    'series', COALESCE((
+        SELECT jsonb_agg(row_to_json(s) ORDER BY s.date)
+        FROM (
+            SELECT
+                to_char(b.bucket, 'YYYY-MM-DD') AS date,
+                COALESCE(SUM(tx.amount) FILTER (WHERE tx.direction = 'in'), 0) AS income,
+                COALESCE(SUM(tx.amount) FILTER (WHERE tx.direction = 'out'), 0) AS expenses,
+                COUNT(tx.occurred_at) AS count
+            FROM buckets b
+            LEFT JOIN tx
+                ON date_trunc(p_granularity, tx.occurred_at AT TIME ZONE p_timezone) = b.bucket
+            GROUP BY b.bucket
+        ) s
+    ), '[]'::JSONB)
+);
+$$;
+
+COMMENT ON FUNCTION get_category_spending IS 'ARS-converted expenses per category for budgets, internal transfers excluded';
+COMMENT ON FUNCTION get_transaction_analytics IS 'Income/expense totals (ARS-converted, plus native per currency) and breakdowns for GET /api/analytics, internal transfers excluded';
@@ -0,0 +1,39 @@
+-- =============================================
+-- Migration: Sessions and refresh tokens
+-- =============================================
+--
+-- Login issues a short-lived access token (JWT with the session id) and a
+-- refresh token. Only the SHA-256 of the refresh token is stored; it
+-- rotates on every POST /api/auth/refresh, and the previous hash is kept
+-- to spot a copied token being reused. Revoked sessions are rejected by
+-- authMiddleware right away.
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_sessions.sql
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash CHAR(64) NOT NULL,
+    previous_token_hash CHAR(64),              -- rotated-out token: using it again revokes the session
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,  -- moves forward on every refresh
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(30)                 -- logout, revoked, token_reuse, ...
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_sessions_refresh_token
+ON user_sessions(refresh_token_hash);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token
+ON user_sessions(previous_token_hash)
+WHERE previous_token_hash IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user
+ON user_sessions(user_id, last_used_at DESC);
+
+COMMENT ON TABLE user_sessions IS 'Login sessions: hashed rotating refresh tokens, device info and revocation';
@@ -0,0 +1,11 @@
+-- Migration: Add source column to transactions table
+-- Run this in Supabase SQL Editor
+
+-- Track where a transaction came from: parsed email or entered by the user
+ALTER TABLE transactions 
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'email';
+
+-- Index for filtering manual entries
+CREATE INDEX IF NOT EXISTS idx_transactions_source ON transactions(source);
+
+COMMENT ON COLUMN transactions.source IS 'Origin of the transaction: email (via /webhook) or manual (POST /api/transactions)';
@@ -0,0 +1,62 @@
+-- =============================================
+-- Migration: Idempotent webhook deliveries
+-- =============================================
+--
+-- The worker retries /webhook deliveries the backend couldn't take (outbox
+-- queue). Each one carries a deliveryId; the first request claims it and
+-- stores the response, retries of it get that response back instead of
+-- creating the transaction again - also when the email has no emailHash.
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_webhook_deliveries.sql
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    delivery_id UUID PRIMARY KEY,
+    status_code INTEGER,   -- NULL while the first request is being processed
+    response JSONB,
+    claimed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created
+ON webhook_deliveries(created_at);
+
+-- Claim a delivery for processing. claimed = TRUE: go ahead (first time, or a
+-- claim abandoned for p_timeout_seconds, e.g. the server restarted mid-request).
+-- claimed = FALSE: already processed (status_code + response) or still in
+-- progress (status_code NULL). Deliveries older than the outbox can retry
+-- (a week is plenty) are purged.
+CREATE OR REPLACE FUNCTION claim_webhook_delivery(p_delivery_id UUID, p_timeout_seconds INTEGER)
+RETURNS TABLE (claimed BOOLEAN, status_code INTEGER, response JSONB)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+    DELETE FROM webhook_deliveries WHERE created_at < NOW() - INTERVAL '7 days';
+
+    INSERT INTO webhook_deliveries (delivery_id)
+    VALUES (p_delivery_id)
+    ON CONFLICT (delivery_id) DO NOTHING;
+
+    IF NOT FOUND THEN
+        UPDATE webhook_deliveries
+        SET claimed_at = NOW()
+        WHERE delivery_id = p_delivery_id
+          AND status_code IS NULL
+          AND claimed_at < NOW() - make_interval(secs => p_timeout_seconds);
+    END IF;
+
+    IF FOUND THEN
+        RETURN QUERY SELECT TRUE, NULL::INTEGER, NULL::JSONB;
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT FALSE, d.status_code, d.response
+    FROM webhook_deliveries d
+    WHERE d.delivery_id = p_delivery_id;
+END;
+$$;
+
+COMMENT ON TABLE webhook_deliveries IS 'Worker delivery IDs seen by /webhook and their responses (retries are answered from here)';
@@ -0,0 +1,39 @@
+-- =============================================
+-- Migration: Webhook replay protection
+-- =============================================
+--
+-- Every worker → backend request carries a signed timestamp and a random
+-- nonce. A nonce is remembered until its timestamp could no longer be
+-- accepted, so a captured request can't be replayed; shared by every
+-- backend instance and kept across restarts.
+--
+-- Run this in Supabase SQL Editor or:
+-- psql $DATABASE_URL -f src/db/add_webhook_nonces.sql
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS webhook_nonces (
+    nonce VARCHAR(64) PRIMARY KEY,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_nonces_expires
+ON webhook_nonces(expires_at);
+
+-- Record a nonce for p_ttl_seconds (expired ones are purged first).
+-- Returns FALSE if it was already used: a replayed request.
+CREATE OR REPLACE FUNCTION claim_webhook_nonce(p_nonce VARCHAR, p_ttl_seconds INTEGER)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    DELETE FROM webhook_nonces WHERE expires_at < NOW();
+
+    INSERT INTO webhook_nonces (nonce, expires_at)
+    VALUES (p_nonce, NOW() + make_interval(secs => p_ttl_seconds))
+    ON CONFLICT (nonce) DO NOTHING;
+
+    RETURN FOUND;
+END;
+$$;
+
+COMMENT ON TABLE webhook_nonces IS 'Nonces of signed worker requests, kept while their timestamp is still accepted';